@@ -1,26 +1,206 @@
+import "dotenv/config";
 import express from "express";
+import { createHash, timingSafeEqual } from "crypto";
+import { EnginePool } from "./src/engine/EnginePool.js";
+import { EngineProfiles } from "./src/engine/EngineProfiles.js";
+import { EvalCache } from "./src/engine/EvalCache.js";
+import { STARTPOS_FEN, replayMoves } from "./src/chess/Position.js";
+import { validateFen } from "./src/chess/validateFen.js";
+import { parsePgn } from "./src/chess/pgn.js";
+import { analyzeGame } from "./src/analysis/analyzeGame.js";
+import { SEARCH_LIMITS, parseSearchLimit, toNumber } from "./src/http/searchLimit.js";
+import { SyzygyTablebase } from "./src/tablebase/SyzygyTablebase.js";
+import { JobManager } from "./src/jobs/JobManager.js";
+import { KeyStore } from "./src/auth/KeyStore.js";
+import { PoolMetrics } from "./src/metrics/PoolMetrics.js";
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE } from "./src/metrics/prometheus.js";
+
+// ── Config ────────────────────────────────────────────────────────────────────
+const ENGINE_DEPTH        = process.env.ENGINE_DEPTH        ? parseInt(process.env.ENGINE_DEPTH,        10) : 18;
+const ENGINE_MULTIPV      = process.env.ENGINE_MULTIPV      ? parseInt(process.env.ENGINE_MULTIPV,      10) : 3;
+const ENGINE_POOL_SIZE    = process.env.ENGINE_POOL_SIZE    ? parseInt(process.env.ENGINE_POOL_SIZE,    10) : 2;
+const ENGINE_THREADS      = process.env.ENGINE_THREADS      ? parseInt(process.env.ENGINE_THREADS,      10) : 1;
+const ENGINE_HASH_MB      = process.env.ENGINE_HASH_MB      ? parseInt(process.env.ENGINE_HASH_MB,      10) : 16;
+const ENGINE_MAX_RESTARTS = process.env.ENGINE_MAX_RESTARTS ? parseInt(process.env.ENGINE_MAX_RESTARTS, 10) : 5;
+const CRASH_COOLDOWN_MS   = process.env.CRASH_COOLDOWN_MS   ? parseInt(process.env.CRASH_COOLDOWN_MS,   10) : 300_000;
+const ENGINE_PING_MS      = process.env.ENGINE_PING_MS      ? parseInt(process.env.ENGINE_PING_MS,      10) : 30_000;
+const ENGINE_STALL_MS     = process.env.ENGINE_STALL_MS     ? parseInt(process.env.ENGINE_STALL_MS,     10) : 30_000;
+const ENGINE_MAX_EVALS    = process.env.ENGINE_MAX_EVALS    ? parseInt(process.env.ENGINE_MAX_EVALS,    10) : 0;
+const ENGINE_MAX_RSS_MB   = process.env.ENGINE_MAX_RSS_MB   ? parseInt(process.env.ENGINE_MAX_RSS_MB,   10) : 0;
+const DRAIN_TIMEOUT_MS    = process.env.DRAIN_TIMEOUT_MS    ? parseInt(process.env.DRAIN_TIMEOUT_MS,    10) : 25_000;
+const MAX_TIME_BUDGET_MS  = process.env.MAX_TIME_BUDGET_MS  ? parseInt(process.env.MAX_TIME_BUDGET_MS,  10) : 15000;
+const MAX_BATCH_SIZE      = process.env.MAX_BATCH_SIZE      ? parseInt(process.env.MAX_BATCH_SIZE,      10) : 500;
+const ANALYSIS_DEPTH      = process.env.ANALYSIS_DEPTH      ? parseInt(process.env.ANALYSIS_DEPTH,      10) : 14;
+const MAX_GAME_PLIES      = process.env.MAX_GAME_PLIES      ? parseInt(process.env.MAX_GAME_PLIES,      10) : 300;
+const MAX_DEPTH           = process.env.MAX_DEPTH           ? parseInt(process.env.MAX_DEPTH,           10) : 20;
+const MAX_MOVETIME_MS     = process.env.MAX_MOVETIME_MS     ? parseInt(process.env.MAX_MOVETIME_MS,     10) : 10000;
+const MAX_NODES           = process.env.MAX_NODES           ? parseInt(process.env.MAX_NODES,           10) : 10_000_000;
+const MAX_MATE            = process.env.MAX_MATE            ? parseInt(process.env.MAX_MATE,            10) : 10;
+const CACHE_MAX_ENTRIES   = process.env.CACHE_MAX_ENTRIES   ? parseInt(process.env.CACHE_MAX_ENTRIES,   10) : 5000;
+const CACHE_TTL_MS        = process.env.CACHE_TTL_MS        ? parseInt(process.env.CACHE_TTL_MS,        10) : 3_600_000;
+const MOVE_TIME_MS        = process.env.MOVE_TIME_MS        ? parseInt(process.env.MOVE_TIME_MS,        10) : 1000;
+const MAX_QUEUE           = process.env.MAX_QUEUE           ? parseInt(process.env.MAX_QUEUE,           10) : 10;
+const MAX_QUEUE_PER_KEY   = process.env.MAX_QUEUE_PER_KEY   ? parseInt(process.env.MAX_QUEUE_PER_KEY,   10) : Math.ceil(MAX_QUEUE / 2);
+const MAX_BATCH_QUEUE     = process.env.MAX_BATCH_QUEUE     ? parseInt(process.env.MAX_BATCH_QUEUE,     10) : 1000;
+const MAX_JOB_QUEUE       = process.env.MAX_JOB_QUEUE       ? parseInt(process.env.MAX_JOB_QUEUE,       10) : 1000;
+const JOB_MAX_DEPTH       = process.env.JOB_MAX_DEPTH       ? parseInt(process.env.JOB_MAX_DEPTH,       10) : 30;
+const JOB_MAX_MOVETIME_MS = process.env.JOB_MAX_MOVETIME_MS ? parseInt(process.env.JOB_MAX_MOVETIME_MS, 10) : 300_000;
+const JOB_MAX_NODES       = process.env.JOB_MAX_NODES       ? parseInt(process.env.JOB_MAX_NODES,       10) : 500_000_000;
+const JOB_TIMEOUT_MS      = process.env.JOB_TIMEOUT_MS      ? parseInt(process.env.JOB_TIMEOUT_MS,      10) : 600_000;
+const JOB_MAX_RUNNING     = process.env.JOB_MAX_RUNNING     ? parseInt(process.env.JOB_MAX_RUNNING,     10) : 2;
+const JOB_MAX_PENDING     = process.env.JOB_MAX_PENDING     ? parseInt(process.env.JOB_MAX_PENDING,     10) : 50;
+const JOB_TTL_MS          = process.env.JOB_TTL_MS          ? parseInt(process.env.JOB_TTL_MS,          10) : 3_600_000;
+const ENGINE_BACKEND      = process.env.ENGINE_BACKEND      || "native";   // "native" | "wasm"
+const stockfishPath       = process.env.STOCKFISH_PATH      || "stockfish";
+const STOCKFISH_WASM_PATH = process.env.STOCKFISH_WASM_PATH || null;       // null → stockfish.js package
+const SYZYGY_PATH         = process.env.SYZYGY_PATH         || null;
+const FATHOM_PATH         = process.env.FATHOM_PATH         || "fathom";
+const PROFILES_FILE       = process.env.PROFILES_FILE       || null;       // null → one "default" profile from ENGINE_*
+const API_KEYS_FILE       = process.env.API_KEYS_FILE       || null;       // null → keys added at runtime are not saved
+const ADMIN_API_KEY       = process.env.ADMIN_API_KEY       || null;       // null → admin endpoints disabled
+const TRUST_PROXY         = process.env.TRUST_PROXY         || null;       // null → req.ip is the connecting address
+const PORT                = process.env.PORT                || 3000;
+
+console.log("[Startup] Engine backend:       ", ENGINE_BACKEND);
+console.log("[Startup] Stockfish binary path:", ENGINE_BACKEND === "wasm"
+  ? STOCKFISH_WASM_PATH ?? "(stockfish.js package)"
+  : stockfishPath);
+console.log("[Startup] Engine depth:         ", ENGINE_DEPTH);
+console.log("[Startup] MultiPV:              ", ENGINE_MULTIPV);
+console.log("[Startup] Pool size:            ", ENGINE_POOL_SIZE);
+console.log("[Startup] Threads / Hash MB:    ", ENGINE_THREADS, "/", ENGINE_HASH_MB);
+console.log("[Startup] Max restarts/min:     ", ENGINE_MAX_RESTARTS);
+console.log("[Startup] Crash cool-down ms:   ", CRASH_COOLDOWN_MS);
+console.log("[Startup] Engine ping / stall:  ", ENGINE_PING_MS, "/", ENGINE_STALL_MS, "ms");
+console.log("[Startup] Engine recycle after: ", ENGINE_MAX_EVALS || "(never)", "evals /", ENGINE_MAX_RSS_MB || "(no limit)", "MB");
+console.log("[Startup] Drain timeout ms:     ", DRAIN_TIMEOUT_MS);
+console.log("[Startup] Max time budget ms:   ", MAX_TIME_BUDGET_MS);
+console.log("[Startup] Max batch size:       ", MAX_BATCH_SIZE);
+console.log("[Startup] Analysis depth:       ", ANALYSIS_DEPTH);
+console.log("[Startup] Max depth:            ", MAX_DEPTH);
+console.log("[Startup] Max movetime ms:      ", MAX_MOVETIME_MS);
+console.log("[Startup] Max nodes:            ", MAX_NODES);
+console.log("[Startup] Max mate:             ", MAX_MATE);
+console.log("[Startup] Cache entries / TTL:  ", CACHE_MAX_ENTRIES, "/", CACHE_TTL_MS, "ms");
+console.log("[Startup] /move movetime ms:    ", MOVE_TIME_MS);
+console.log("[Startup] Queue interactive:    ", MAX_QUEUE, `(${MAX_QUEUE_PER_KEY} per key)`);
+console.log("[Startup] Queue batch / bg:     ", MAX_BATCH_QUEUE, "/", MAX_JOB_QUEUE);
+console.log("[Startup] Job depth / timeout:  ", JOB_MAX_DEPTH, "/", JOB_TIMEOUT_MS, "ms");
+console.log("[Startup] Jobs running/pending: ", JOB_MAX_RUNNING, "/", JOB_MAX_PENDING);
+console.log("[Startup] Syzygy path:          ", SYZYGY_PATH ?? "(none)");
+console.log("[Startup] Engine profiles:      ", PROFILES_FILE ?? "(none)");
+console.log("[Startup] API keys file:        ", API_KEYS_FILE ?? "(none)");
+console.log("[Startup] Admin API:            ", ADMIN_API_KEY ? "enabled" : "disabled");
+console.log("[Startup] Trust proxy:          ", TRUST_PROXY ?? "(none)");
+console.log("[Startup] Node version:         ", process.version);
+
+// ── Metrics — Prometheus telemetry for the pools, served on /metrics ─────────
+const metrics = new PoolMetrics();
+
+// ── Engine pools, one per profile (all instances spawned ONCE at startup) ────
+// Every backend returns the same result schema, so routes never branch on it.
+// A profile's own settings (PROFILES_FILE) override the ENGINE_* defaults.
+const createPool = (name, profile) => {
+  const pool = new EnginePool({
+    name:               name,
+    backend:            profile.backend,
+    binaryPath:         profile.binaryPath ??
+                          (profile.backend === "wasm" ? STOCKFISH_WASM_PATH : stockfishPath),
+    evalFile:           profile.evalFile,
+    size:               profile.size,
+    multiPV:            profile.multiPV,
+    threads:            profile.threads,   // keep 1 per engine on Railway Hobby — never oversubscribe CPU
+    hash:               profile.hash,
+    maxDepth:           Math.max(MAX_DEPTH, JOB_MAX_DEPTH),   // per-request caps are applied by the routes
+    syzygyPath:         SYZYGY_PATH,
+    // Per-class queue limits; callers are served round-robin within a class
+    maxQueue:           MAX_QUEUE,
+    maxQueuePerCaller:  MAX_QUEUE_PER_KEY,
+    maxBatchQueue:      MAX_BATCH_QUEUE,
+    maxBackgroundQueue: MAX_JOB_QUEUE,
+    maxRestarts:        ENGINE_MAX_RESTARTS,   // crashes per minute before respawning pauses
+    crashCooldownMs:    CRASH_COOLDOWN_MS,     // then wait this long before respawning again
+    drainTimeoutMs:     DRAIN_TIMEOUT_MS,      // SIGTERM: finish queued work for this long, then exit
+    // Watchdog: ping idle engines, kill silent searches, replace worn-out engines (0 = off)
+    pingIntervalMs:     ENGINE_PING_MS,
+    stallTimeoutMs:     ENGINE_STALL_MS,
+    recycleAfter:       ENGINE_MAX_EVALS,
+    maxRssBytes:        ENGINE_MAX_RSS_MB * 1024 * 1024,
+    // One cache per profile — other engines or networks give other evaluations.
+    // CACHE_MAX_ENTRIES=0 disables the cache
+    cache:              CACHE_MAX_ENTRIES > 0
+      ? new EvalCache({ maxEntries: CACHE_MAX_ENTRIES, ttlMs: CACHE_TTL_MS })
+      : null,
+    metrics:            metrics.profile(name),
+  });
+  metrics.watch(pool, name);
+  return pool;
+};
+
+let profiles;
+try {
+  profiles = new EngineProfiles({
+    path:     PROFILES_FILE,
+    defaults: {
+      backend: ENGINE_BACKEND,
+      size:    ENGINE_POOL_SIZE,
+      multiPV: ENGINE_MULTIPV,
+      threads: ENGINE_THREADS,
+      hash:    ENGINE_HASH_MB,
+    },
+    createPool,
+  });
+} catch (err) {
+  console.error("[Startup] Failed to load engine profiles:", err.message);
+  process.exit(1);
+}
+
+// ── Syzygy tablebase (optional) — exact answers without a search ──────────────
+const tablebase = SYZYGY_PATH
+  ? new SyzygyTablebase({ path: SYZYGY_PATH, fathomPath: FATHOM_PATH })
+  : null;
+
+// ── Background jobs — deep searches and game analysis, polled by id ──────────
+const jobs = new JobManager({
+  maxRunning: JOB_MAX_RUNNING,
+  maxPending: JOB_MAX_PENDING,
+  ttlMs:      JOB_TTL_MS,
+});
+
+// ── API keys — per-key rate limits, daily budgets and allowed endpoints ──────
+// STOCKFISH_API_KEY still works as an unlimited key named "default".
+const keys = new KeyStore({
+  path:      API_KEYS_FILE,
+  legacyKey: process.env.STOCKFISH_API_KEY || null,
+});
 
+// ── Express app ───────────────────────────────────────────────────────────────
 const app = express();
 app.use(express.json());
 
+// Behind a reverse proxy every request arrives from the proxy's address, so
+// without keys (callers told apart by req.ip) all clients would share one
+// per-caller queue limit. TRUST_PROXY takes Express's "trust proxy" values:
+// "true", a hop count or a list of addresses / subnets.
+if (TRUST_PROXY !== null) {
+  app.set("trust proxy", parseTrustProxy(TRUST_PROXY));
+}
+
 app.use((req, res, next) => {
-  res.setHeader("Access-Control-Allow-Origin", process.env.CORS_ORIGIN || "*");
+  res.setHeader("Access-Control-Allow-Origin",  process.env.CORS_ORIGIN || "*");
   res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-
-  if (req.method === "OPTIONS") {
-    return res.sendStatus(204);
-  }
-
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PATCH, DELETE, OPTIONS");
+  if (req.method === "OPTIONS") return res.sendStatus(204);
   next();
 });
 
-// Optional auth middleware
+// Sets req.apiKey (the key record) and req.caller — the identity the pool
+// queues and bills requests under. With no keys configured at startup the
+// service is open and callers are told apart by address.
 function authenticate(req, res, next) {
-  const apiKey = process.env.STOCKFISH_API_KEY;
-  
-  // If no API key is set, skip auth
-  if (!apiKey) {
+  if (keys.open) {
+    req.apiKey = null;
+    req.caller = req.ip;
     return next();
   }
 
@@ -29,136 +209,777 @@ function authenticate(req, res, next) {
     return res.status(401).json({ error: "Missing or invalid authorization header" });
   }
 
-  const token = authHeader.substring(7);
-  if (token !== apiKey) {
+  const apiKey = keys.find(authHeader.substring(7));
+  if (!apiKey) {
     return res.status(403).json({ error: "Invalid API key" });
   }
 
+  // "/jobs/:id" is allowed by "/jobs"
+  const denied = keys.admit(apiKey, req.route.path.replace(/\/:\w+$/, ""));
+  if (denied) {
+    if (denied.retryAfter) res.setHeader("Retry-After", denied.retryAfter);
+    return res.status(denied.status).json({ error: denied.error });
+  }
+
+  req.apiKey = apiKey;
+  req.caller = apiKey.name;
   next();
 }
 
-function parseScore(line) {
-  const tokens = line.split(" ");
-  const scoreIndex = tokens.indexOf("score");
-  if (scoreIndex === -1 || scoreIndex + 2 >= tokens.length) {
-    return null;
+function authenticateAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res.status(404).json({ error: "Admin API disabled" });
   }
 
-  const type = tokens[scoreIndex + 1];
-  const value = Number(tokens[scoreIndex + 2]);
-  if (!Number.isFinite(value)) {
-    return null;
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return res.status(401).json({ error: "Missing or invalid authorization header" });
+  }
+  if (!sameSecret(authHeader.substring(7), ADMIN_API_KEY)) {
+    return res.status(403).json({ error: "Invalid admin key" });
+  }
+
+  next();
+}
+
+// Constant-time comparison: both sides are hashed first so the lengths match
+// and the time taken says nothing about the secret.
+function sameSecret(given, secret) {
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(given), digest(secret));
+}
+
+// ── Request helpers ───────────────────────────────────────────────────────────
+
+// Server-side caps per request class. Jobs run in the background, so they may
+// search deeper and longer than synchronous requests. The node caps assume
+// about 1M nodes/s on one thread, so a maxed-out search fits its time budget.
+const INTERACTIVE_CAPS = {
+  depth:        MAX_DEPTH,
+  movetime:     MAX_MOVETIME_MS,
+  nodes:        MAX_NODES,
+  mate:         MAX_MATE,
+  timeBudgetMs: MAX_TIME_BUDGET_MS,
+};
+const JOB_CAPS = {
+  depth:        JOB_MAX_DEPTH,
+  movetime:     JOB_MAX_MOVETIME_MS,
+  nodes:        JOB_MAX_NODES,
+  mate:         MAX_MATE,
+  timeBudgetMs: JOB_TIMEOUT_MS,
+};
+
+/**
+ * TRUST_PROXY as an Express "trust proxy" setting: "true" / "false", a
+ * number of hops, or anything else as a comma-separated address list.
+ */
+function parseTrustProxy(value) {
+  if (value === "true")  return true;
+  if (value === "false") return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
+// Stockfish's UCI_Elo and Skill Level ranges
+const ELO_RANGE   = [1320, 3190];
+const SKILL_RANGE = [0, 20];
+
+/**
+ * Pick the playing strength for /move: exactly one of `elo` or `skill`.
+ *
+ * Returns { strength: { elo } | { skill } } or { error }.
+ */
+function parseStrength(body) {
+  const { elo, skill } = body;
+
+  if ((elo === undefined) === (skill === undefined)) {
+    return { error: "Specify exactly one of elo, skill" };
+  }
+
+  const [name, value, [min, max]] = elo !== undefined
+    ? ["elo", elo, ELO_RANGE]
+    : ["skill", skill, SKILL_RANGE];
+  if (!Number.isInteger(value) || value < min || value > max) {
+    return { error: `${name} must be an integer between ${min} and ${max}` };
+  }
+
+  return { strength: { [name]: value } };
+}
+
+/**
+ * Validate an evaluation request body.
+ *
+ * The position is a `fen` ("startpos" for the initial position), optionally
+ * followed by `moves` in UCI or SAN. Moves are checked for legality and
+ * converted to UCI so the engine receives the full game history.
+ *
+ * The search runs to `depth` unless a `movetime`, `nodes` or `mate` limit is
+ * given (see parseSearchLimit). Limits and the time budget are capped at
+ * `caps` — INTERACTIVE_CAPS unless the request is a background job. Without
+ * `timeBudgetMs` the search gets the largest budget the caps allow.
+ *
+ * Returns { fen, moves, finalFen, position, depth, limit, multiPV, timeBudgetMs }
+ * on success (position: the parsed final position) or { error, code?, detail? }
+ * for a 400 — code/detail come from validateFen.
+ */
+function parseEvaluateBody(body, caps = INTERACTIVE_CAPS) {
+  const { multipv, timeBudgetMs, moves } = body || {};
+  let { fen } = body || {};
+
+  // A bare move list starts from the initial position
+  if (!fen && moves !== undefined) fen = "startpos";
+
+  if (!fen) {
+    return { error: "Missing FEN" };
+  }
+
+  if (fen === "startpos") fen = STARTPOS_FEN;
+
+  const check = validateFen(fen);
+  if (!check.valid) {
+    return { error: "Invalid FEN", code: check.code, detail: check.message };
+  }
+
+  let uciMoves;
+  let finalFen = fen;
+  let position = check.position;
+  if (moves !== undefined) {
+    if (!Array.isArray(moves)) {
+      return { error: "moves must be an array" };
+    }
+    if (moves.length > MAX_GAME_PLIES) {
+      return { error: `Too many moves (max ${MAX_GAME_PLIES})` };
+    }
+    try {
+      const { final, plies } = replayMoves(check.position, moves);
+      uciMoves = plies.map((p) => p.uci);
+      finalFen = final.toFen();
+      position = final;
+    } catch (err) {
+      return { error: err.message };
+    }
   }
 
-  if (type === "cp") {
-    return { type: "cp", value };
+  if (timeBudgetMs !== undefined && !(Number.isFinite(timeBudgetMs) && timeBudgetMs > 0)) {
+    return { error: "timeBudgetMs must be a positive number" };
   }
 
-  if (type === "mate") {
-    return { type: "mate", value };
+  const search = parseSearchLimit(body || {}, ENGINE_DEPTH, caps);
+  if (search.error) {
+    return { error: search.error };
   }
 
-  return null;
+  // Every search is budgeted, so running out of time returns the deepest
+  // complete depth instead of a timeout error
+  const budget = Math.min(timeBudgetMs ?? caps.timeBudgetMs, caps.timeBudgetMs);
+
+  // Per-request MultiPV, 1–5 lines; engine default when omitted
+  const multiPV = multipv !== undefined
+    ? Math.max(1, Math.min(Number(multipv) || ENGINE_MULTIPV, 5))
+    : undefined;
+
+  return {
+    fen,
+    moves: uciMoves,
+    finalFen,
+    position,
+    depth: search.depth,
+    limit: search.limit,
+    multiPV,
+    timeBudgetMs: budget,
+  };
 }
 
-function parseInfoLine(line) {
-  // Parse: info depth N ... multipv N score (cp|mate) N ... pv move1 move2 ...
-  const tokens = line.split(" ");
+/**
+ * Validate a game analysis body: { pgn } or { fen?, moves: [SAN|UCI, ...] }.
+ * The moves are replayed here so an illegal move is a 400, not a failed
+ * analysis.
+ *
+ * Returns { start, moves, depth } on success — start is the parsed starting
+ * Position, depth capped at maxDepth — or { error, code?, detail? }.
+ */
+function parseGameBody(body, maxDepth) {
+  const { pgn, fen, moves } = body || {};
+  const depth = toNumber(body?.depth ?? ANALYSIS_DEPTH);
+
+  let startFen = fen ?? STARTPOS_FEN;
+  let moveList = moves;
+
+  if (pgn !== undefined) {
+    if (typeof pgn !== "string") {
+      return { error: "pgn must be a string" };
+    }
+    try {
+      const game = parsePgn(pgn);
+      startFen = game.headers.FEN ?? STARTPOS_FEN;
+      moveList = game.moves;
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  if (!Array.isArray(moveList) || moveList.length === 0) {
+    return { error: "Provide a pgn or a non-empty moves array" };
+  }
+  if (moveList.length > MAX_GAME_PLIES) {
+    return { error: `Game too long (max ${MAX_GAME_PLIES} plies)` };
+  }
+  const check = validateFen(startFen);
+  if (!check.valid) {
+    return { error: "Invalid FEN", code: check.code, detail: check.message };
+  }
+
+  try {
+    replayMoves(check.position, moveList);
+  } catch (err) {
+    return { error: err.message };
+  }
 
-  const get = (key) => {
-    const i = tokens.indexOf(key);
-    return i !== -1 ? tokens[i + 1] : null;
+  if (!Number.isInteger(depth)) {
+    return { error: "depth must be an integer" };
+  }
+
+  return {
+    start: check.position,
+    moves: moveList,
+    depth: Math.min(Math.max(1, depth), maxDepth),
   };
+}
 
-  const multipv  = Number(get("multipv") ?? 1);
-  const scoreCp  = tokens.indexOf("cp")   !== -1 ? Number(tokens[tokens.indexOf("cp")   + 1]) : null;
-  const scoreMate= tokens.indexOf("mate") !== -1 ? Number(tokens[tokens.indexOf("mate") + 1]) : null;
+/**
+ * AbortSignal that fires when the client goes away before the response is
+ * finished, so the pool can drop the queued job or stop the running search.
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+/**
+ * Answer a position from the Syzygy tables in the /evaluate result shape, or
+ * return null when the tables do not cover it. A failed probe is logged and
+ * also returns null so the caller falls back to an engine search.
+ *
+ * The exact category and DTZ go under `tablebase`, on the result and on every
+ * move; evaluation, mate and pv are filled like an engine result's.
+ */
+async function probeTablebase(position) {
+  if (!tablebase?.covers(position)) return null;
+
+  let probe;
+  try {
+    probe = await tablebase.probe(position);
+  } catch (err) {
+    console.warn(`[SyzygyTablebase] ${err.message} — falling back to search.`);
+    return null;
+  }
 
-  // Extract PV: everything after the "pv" token
-  const pvIdx = tokens.indexOf("pv");
-  const pv    = pvIdx !== -1 ? tokens.slice(pvIdx + 1) : [];
+  return {
+    source:       "tablebase",
+    bestMove:     probe.bestMove,
+    bestMoveSan:  probe.bestMoveSan,
+    evaluation:   probe.evaluation,
+    mate:         null,
+    wdl:          probe.wdl,
+    depthReached: null,
+    limit:        null,
+    stats:        null,
+    partial:      false,
+    tablebase:    { category: probe.category, dtz: probe.dtz },
+    moves:        probe.moves.map((m) => ({
+      move:       m.move,
+      evaluation: m.evaluation,
+      mate:       null,
+      wdl:        m.wdl,
+      bound:      null,
+      pv:         m.pv,
+      stats:      null,
+      san:        m.san,
+      pvSan:      m.pvSan,
+      fenAfter:   m.fenAfter,
+      tablebase:  { category: m.category, dtz: m.dtz },
+    })),
+  };
+}
 
-  // Evaluation: white-positive centipawns, ±10000 for mate
-  let evaluation = 0;
-  let mate       = null;
-  if (scoreMate !== null) {
-    mate       = scoreMate;
-    evaluation = scoreMate > 0 ? 10000 : -10000;
-  } else if (scoreCp !== null) {
-    evaluation = scoreCp;
+// Sets req.pool — the engine pool of the profile named by `profile` in the
+// body, or of the default profile.
+function selectProfile(req, res, next) {
+  const { profile } = req.body || {};
+  const pool = profile === undefined ? profiles.get() : profiles.get(String(profile));
+  if (!pool) {
+    return res.status(400).json({ error: `Unknown profile "${profile}"`, profiles: profiles.names });
   }
+  req.pool = pool;
+  next();
+}
+
+/**
+ * The pool as seen by one request (see selectProfile): searches are queued under the request's
+ * caller and charged to its API key's daily budgets. Cached results cost
+ * nothing. Also passed to analyzeGame, which only calls evaluate().
+ */
+function meteredPool(req) {
+  return {
+    evaluate: async (fen, depth, options = {}) => {
+      const result = await req.pool.evaluate(fen, depth, { ...options, caller: req.caller });
+      if (req.apiKey && !result.cached) keys.charge(req.apiKey, result);
+      return result;
+    },
+  };
+}
 
-  return { multipv, evaluation, mate, pv, bestMove: pv[0] ?? null };
+// Errors from a pool that is going away (see EnginePool.drain / quit)
+const SHUTDOWN_ERRORS = new Set([
+  "Engine pool draining",
+  "Engine pool shutting down",
+  "Engine shutting down",
+]);
+
+/**
+ * Map a pool/engine error to an HTTP status and client-facing message.
+ */
+function evaluationError(error) {
+  if (error.message === "Engine overloaded") {
+    // Queue class or the caller's share full — caller must back off
+    return { status: 503, error: "Engine overloaded. Retry shortly." };
+  }
+  if (error.message === "Stockfish timeout") {
+    // Not even depth 1 finished within the budget and the hard timeout
+    return { status: 504, error: "Search timed out before completing a single depth" };
+  }
+  if (SHUTDOWN_ERRORS.has(error.message)) {
+    // Draining for a deploy, or cut off by the drain deadline — the next
+    // instance will answer
+    return { status: 503, error: "Service restarting. Retry shortly." };
+  }
+  return { status: 500, error: "Stockfish error: " + error.message };
 }
 
-app.post("/evaluate", authenticate, async (req, res) => {
-  const { fen, depth = 18, multipv: requestedMultiPV = 3 } = req.body || {};
+// ── Routes ────────────────────────────────────────────────────────────────────
+app.post("/evaluate", authenticate, selectProfile, async (req, res) => {
+  const { fen, moves, finalFen, position, depth, limit, multiPV, timeBudgetMs, error, code, detail } =
+    parseEvaluateBody(req.body);
+  if (error) {
+    return res.status(400).json({ error, code, detail });
+  }
+
+  const exact = await probeTablebase(position);
+  if (exact) {
+    return res.json({ ...exact, fen: finalFen });
+  }
+
+  const signal = abortOnDisconnect(res);
+
+  try {
+    const result = await meteredPool(req).evaluate(fen, depth, {
+      signal,
+      moves,
+      limit,
+      multiPV,
+      timeBudgetMs,
+    });
+    res.json({ ...result, fen: finalFen });
+  } catch (err) {
+    if (signal.aborted) return;   // client already gone — nobody to answer
+    const { status, error } = evaluationError(err);
+    res.status(status).json({ error });
+  }
+});
+
+// Server-Sent Events variant of /evaluate.
+//   event: info    → one multipv line as the search deepens
+//   event: result  → final result, same shape as /evaluate
+//   event: error   → { error, status } — stream ends afterwards
+app.post("/evaluate/stream", authenticate, selectProfile, async (req, res) => {
+  const { fen, moves, finalFen, position, depth, limit, multiPV, timeBudgetMs, error, code, detail } =
+    parseEvaluateBody(req.body);
+  if (error) {
+    return res.status(400).json({ error, code, detail });
+  }
+
+  res.setHeader("Content-Type",  "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection",    "keep-alive");
+  res.flushHeaders();
+
+  const signal = abortOnDisconnect(res);
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    // Tablebase answers have no search to report — just the result
+    const result = await probeTablebase(position) ?? await meteredPool(req).evaluate(fen, depth, {
+      signal,
+      moves,
+      limit,
+      multiPV,
+      timeBudgetMs,
+      onInfo: (info) => send("info", info),
+    });
+    send("result", { ...result, fen: finalFen });
+  } catch (err) {
+    if (signal.aborted) return;
+    send("error", evaluationError(err));
+  }
+  res.end();
+});
+
+// One move from a strength-limited engine, for training bots.
+// Body: a position as for /evaluate plus `elo` (1320–3190) or `skill` (0–20).
+// Searches for MOVE_TIME_MS unless the body sets depth/movetime/nodes/mate.
+// The pooled engine is put back at full strength before its next /evaluate.
+app.post("/move", authenticate, selectProfile, async (req, res) => {
+  const body = req.body || {};
+
+  const { strength, error: strengthError } = parseStrength(body);
+  if (strengthError) {
+    return res.status(400).json({ error: strengthError });
+  }
+
+  const hasLimit = ["depth", ...SEARCH_LIMITS].some((k) => body[k] !== undefined);
+  const { fen, moves, finalFen, position, depth, limit, timeBudgetMs, error, code, detail } =
+    parseEvaluateBody(hasLimit ? body : { ...body, movetime: MOVE_TIME_MS });
+  if (error) {
+    return res.status(400).json({ error, code, detail });
+  }
+
+  if (position.legalMoves().length === 0) {
+    return res.status(400).json({ error: "No legal moves — the game is over" });
+  }
+
+  const signal = abortOnDisconnect(res);
+
+  try {
+    const result = await meteredPool(req).evaluate(fen, depth, {
+      signal,
+      moves,
+      limit,
+      multiPV: 1,
+      timeBudgetMs,
+      strength,
+    });
+    res.json({
+      move:     result.bestMove,
+      san:      result.bestMoveSan,
+      fenAfter: result.fenAfter ?? null,
+      strength,
+      fen:      finalFen,
+    });
+  } catch (err) {
+    if (signal.aborted) return;
+    const { status, error } = evaluationError(err);
+    res.status(status).json({ error });
+  }
+});
+
+// Many positions in one request. Items are either FEN strings or
+// { fen, depth?, multipv?, timeBudgetMs? }. Work goes to the pool's batch
+// queue, so it never counts against the interactive queue limit. Results come
+// back in input order; a failed item carries { error } instead of a result.
+app.post("/evaluate/batch", authenticate, selectProfile, async (req, res) => {
+  const { positions } = req.body || {};
+
+  if (!Array.isArray(positions) || positions.length === 0) {
+    return res.status(400).json({ error: "positions must be a non-empty array" });
+  }
+  if (positions.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ error: `Batch too large (max ${MAX_BATCH_SIZE} positions)` });
+  }
+
+  const signal = abortOnDisconnect(res);
+
+  const results = await Promise.allSettled(positions.map(async (item) => {
+    const { fen, moves, finalFen, position, depth, limit, multiPV, timeBudgetMs, error, code, detail } =
+      parseEvaluateBody(typeof item === "string" ? { fen: item } : item);
+    if (error) throw Object.assign(new Error(error), { code, detail });
+
+    const exact = await probeTablebase(position);
+    if (exact) return { ...exact, fen: finalFen };
 
-  if (!fen || typeof fen !== "string") {
-    return res.status(400).json({ error: "Missing FEN" });
+    const result = await meteredPool(req).evaluate(fen, depth, {
+      signal,
+      moves,
+      limit,
+      multiPV,
+      timeBudgetMs,
+      priority: "batch",
+    });
+    return { ...result, fen: finalFen };
+  }));
+
+  if (signal.aborted) return;
+
+  res.json({
+    results: results.map((r, i) => {
+      const fen = typeof positions[i] === "string" ? positions[i] : positions[i]?.fen;
+      return r.status === "fulfilled"
+        ? r.value
+        : { fen, error: r.reason.message, code: r.reason.code, detail: r.reason.detail };
+    }),
+  });
+});
+
+// Whole-game analysis: { pgn } or { fen?, moves: [SAN|UCI, ...] }.
+// Every position is evaluated on the batch queue; each move gets eval
+// before/after, centipawn loss, the engine's best move and a classification.
+app.post("/analyze-game", authenticate, selectProfile, async (req, res) => {
+  const { start, moves, depth, error, code, detail } = parseGameBody(req.body, MAX_DEPTH);
+  if (error) {
+    return res.status(400).json({ error, code, detail });
   }
 
-  const MULTIPV = Math.max(1, Math.min(Number(requestedMultiPV) || 3, 5));
+  const signal = abortOnDisconnect(res);
 
   try {
-    const sf = await import("stockfish.js");
-    const engine = sf.default();
-
-    // pvSlots[1..MULTIPV] → latest parsed info for that multipv slot
-    const pvSlots   = {};
-    let   bestMove  = null;
-    let   responded = false;
-
-    const timeoutId = setTimeout(() => {
-      if (responded) return;
-      responded = true;
-      res.status(504).json({ error: "Stockfish timeout" });
-    }, 20000);
-
-    engine.addMessageListener((line) => {
-      if (line.startsWith("info") && line.includes(" score ") && line.includes(" pv ")) {
-        const parsed = parseInfoLine(line);
-        pvSlots[parsed.multipv] = parsed;
-      }
-
-      if (line.startsWith("bestmove")) {
-        bestMove = line.split(" ")[1] || null;
-
-        if (!responded) {
-          responded = true;
-          clearTimeout(timeoutId);
-
-          // Build moves array sorted by multipv slot (best first)
-          const moves = Object.keys(pvSlots)
-            .map(Number)
-            .sort((a, b) => a - b)
-            .map((slot) => pvSlots[slot]);
-
-          // Top line is the primary evaluation
-          const top = moves[0] ?? { evaluation: 0, mate: null, bestMove };
-
-          res.json({
-            bestMove:   bestMove ?? top.bestMove,
-            evaluation: top.evaluation,
-            mate:       top.mate,
-            moves,   // [{ evaluation, mate, pv, bestMove }, ...]
-          });
-        }
-
-        engine.terminate();
-      }
+    const analysis = await analyzeGame(meteredPool(req), start, moves, {
+      depth,
+      signal,
+      timeBudgetMs: MAX_TIME_BUDGET_MS,
     });
+    res.json(analysis);
+  } catch (err) {
+    if (signal.aborted) return;
+    const { status, error } = evaluationError(err);
+    res.status(status).json({ error });
+  }
+});
+
+// ── Jobs ──────────────────────────────────────────────────────────────────────
+// Background work beyond the synchronous limits: deeper searches (JOB_CAPS)
+// and a long per-search timeout. Jobs run at background priority, so
+// interactive and batch requests are always served first.
+//
+//   POST   /jobs      { type: "evaluate", ...same body as /evaluate }
+//                     { type: "analyze-game", ...same body as /analyze-game }
+//                     → 202 + job
+//   GET    /jobs/:id  → job: status, progress, result | error
+//   DELETE /jobs/:id  → cancels a queued or running job
+// A job belongs to the API key that created it — 404 for every other key.
+app.post("/jobs", authenticate, selectProfile, (req, res) => {
+  // A job queued now would only fail once the pool has shut down
+  if (req.pool.getStatus().draining) {
+    return res.status(503).json({ error: "Service restarting. Retry shortly." });
+  }
+
+  const { type = "evaluate" } = req.body || {};
+  let run;
+
+  if (type === "evaluate") {
+    const { fen, moves, finalFen, position, depth, limit, multiPV, timeBudgetMs, error, code, detail } =
+      parseEvaluateBody(req.body, JOB_CAPS);
+    if (error) {
+      return res.status(400).json({ error, code, detail });
+    }
+
+    run = async ({ signal, onProgress }) => {
+      const exact = await probeTablebase(position);
+      if (exact) return { ...exact, fen: finalFen };
+
+      const result = await meteredPool(req).evaluate(fen, depth, {
+        signal,
+        moves,
+        limit,
+        multiPV,
+        timeBudgetMs,
+        // Deep searches can go quiet for minutes; only the job timeout applies
+        timeoutMs:   JOB_TIMEOUT_MS,
+        watchStalls: false,
+        priority:    "background",
+        onInfo:      (info) => onProgress({ depth: info.depth, nodes: info.stats.nodes, time: info.stats.time }),
+      });
+      return { ...result, fen: finalFen };
+    };
+  } else if (type === "analyze-game") {
+    const { start, moves, depth, error, code, detail } = parseGameBody(req.body, JOB_MAX_DEPTH);
+    if (error) {
+      return res.status(400).json({ error, code, detail });
+    }
+
+    run = ({ signal, onProgress }) =>
+      analyzeGame(meteredPool(req), start, moves, {
+        depth,
+        signal,
+        timeBudgetMs: JOB_TIMEOUT_MS,
+        timeoutMs:    JOB_TIMEOUT_MS,
+        watchStalls:  false,
+        priority:     "background",
+        onProgress,
+      });
+  } else {
+    return res.status(400).json({ error: `Unknown job type "${type}"` });
+  }
+
+  try {
+    // Keys only see their own jobs; without keys every job is public
+    const job = jobs.create(type, run, req.apiKey?.name ?? null);
+    res.status(202).location(`/jobs/${job.id}`).json(job);
+  } catch (err) {
+    // Too many jobs waiting — caller must back off
+    res.status(503).json({ error: `${err.message}. Retry later.` });
+  }
+});
+
+app.get("/jobs/:id", authenticate, (req, res) => {
+  const job = jobs.get(req.params.id, req.apiKey?.name ?? null);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(job);
+});
+
+app.delete("/jobs/:id", authenticate, (req, res) => {
+  try {
+    const job = jobs.cancel(req.params.id, req.apiKey?.name ?? null);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(job);
+  } catch (err) {
+    // Already done, failed or cancelled
+    res.status(409).json({ error: err.message });
+  }
+});
+
+// ── Admin: API keys ───────────────────────────────────────────────────────────
+// Bearer ADMIN_API_KEY. Changes take effect immediately and are written to
+// API_KEYS_FILE.
+//
+//   GET    /admin/keys        → every key with limits and today's usage
+//   POST   /admin/keys        { name, rpm?, dailyDepth?, dailyNodes?, endpoints? }
+//                            → 201 + the new key (shown only here)
+//   GET    /admin/keys/:name  → one key
+//   DELETE /admin/keys/:name  → revokes the key; its usage stays inspectable
+app.get("/admin/keys", authenticateAdmin, (req, res) => {
+  res.json({ keys: keys.list() });
+});
+
+app.post("/admin/keys", authenticateAdmin, async (req, res) => {
+  try {
+    const { key, info } = await keys.create(req.body || {});
+    res.status(201).json({ ...info, key });
+  } catch (err) {
+    if (err.message === "Key already exists") {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err.message.startsWith("Invalid")) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: "Key store error: " + err.message });
+  }
+});
+
+app.get("/admin/keys/:name", authenticateAdmin, (req, res) => {
+  const info = keys.describe(req.params.name);
+  if (!info) {
+    return res.status(404).json({ error: "Key not found" });
+  }
+  res.json(info);
+});
+
+app.delete("/admin/keys/:name", authenticateAdmin, async (req, res) => {
+  try {
+    const info = await keys.revoke(req.params.name);
+    if (!info) {
+      return res.status(404).json({ error: "Key not found" });
+    }
+    res.json(info);
+  } catch (err) {
+    res.status(500).json({ error: "Key store error: " + err.message });
+  }
+});
+
+// ── Admin: engine pools ───────────────────────────────────────────────────────
+// Bearer ADMIN_API_KEY. Changes last until the process restarts — set the
+// ENGINE_* variables or PROFILES_FILE to keep them. Without :profile the
+// default profile is meant.
+//
+//   GET   /admin/engine[/:profile]  → effective pool size and engine options
+//   PATCH /admin/engine[/:profile]  { size?, multiPV?, threads?, hash? } → the new
+//                                   configuration once added engines run and idle ones
+//                                   carry the options; busy engines follow when their
+//                                   search finishes (pending)
+const ADMIN_ENGINE_PATHS = ["/admin/engine", "/admin/engine/:profile"];
+
+app.get(ADMIN_ENGINE_PATHS, authenticateAdmin, (req, res) => {
+  const pool = profiles.get(req.params.profile);
+  if (!pool) {
+    return res.status(404).json({ error: "Profile not found" });
+  }
+  res.json(pool.getConfig());
+});
+
+app.patch(ADMIN_ENGINE_PATHS, authenticateAdmin, async (req, res) => {
+  const pool = profiles.get(req.params.profile);
+  if (!pool) {
+    return res.status(404).json({ error: "Profile not found" });
+  }
+
+  const { size, multiPV, threads, hash } = req.body || {};
+  if ([size, multiPV, threads, hash].every((value) => value === undefined)) {
+    return res.status(400).json({ error: "Nothing to change: give size, multiPV, threads or hash" });
+  }
 
-    engine.postMessage("uci");
-    engine.postMessage(`setoption name MultiPV value ${MULTIPV}`);
-    engine.postMessage(`position fen ${fen}`);
-    engine.postMessage(`go depth ${depth}`);
-  } catch (error) {
-    res.status(500).json({ error: `Stockfish error: ${error.message}` });
+  try {
+    await pool.configure({ size, multiPV, threads, hash });
+    res.json(pool.getConfig());
+  } catch (err) {
+    if (err.message.startsWith("Invalid")) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: "Stockfish error: " + err.message });
+  }
+});
+
+// Readiness — whether to route new traffic here. Fails while the pools drain
+// for shutdown, or while a profile has no engine left; /health (liveness)
+// stays 200 then.
+app.get("/ready", (req, res) => {
+  const statuses = profiles.entries().map(([name, pool]) => [name, pool.getStatus()]);
+  if (statuses.some(([, status]) => status.draining)) {
+    return res.status(503).json({ status: "draining" });
+  }
+  const empty = statuses.filter(([, status]) => status.totalEngines === 0).map(([name]) => name);
+  if (empty.length > 0) {
+    return res.status(503).json({ status: "no engines", profiles: empty });
   }
+  res.json({ status: "ready" });
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Stockfish service running on port ${PORT}`);
-});
\ No newline at end of file
+app.get("/health", (req, res) => {
+  const statuses = Object.fromEntries(
+    profiles.entries().map(([name, pool]) => [name, pool.getStatus()])
+  );
+  const degraded = Object.values(statuses).some((status) => status.degraded);
+  // Liveness: still 200 when degraded or draining — the process answers.
+  // Top-level pool fields are the default profile's, as before profiles.
+  res.json({
+    status:         degraded ? "degraded" : "ok",
+    ...statuses[profiles.defaultName],
+    defaultProfile: profiles.defaultName,
+    profiles:       statuses,
+    jobs:           jobs.getStatus(),
+    tablebase:      tablebase?.getStatus() ?? null,
+  });
+});
+
+// Prometheus scrape target — see PoolMetrics for the series
+app.get("/metrics", (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metrics.registry.render());
+});
+
+// ── Boot: init pools THEN open HTTP port ─────────────────────────────────────
+Promise.all([profiles.init(), tablebase?.init(), keys.load()])
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`[Startup] Stockfish service running on port ${PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error("[Startup] Failed to initialize engine pool:", err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,193 @@
+/**
+ * Game analysis
+ *
+ * Replays a game, evaluates every position on the EnginePool and scores each
+ * move by centipawn loss from the mover's point of view:
+ *
+ *   cpLoss = max(0, evalBefore − evalAfter)      (mover-relative, capped)
+ *
+ * evalBefore is the engine's best line in the position before the move,
+ * evalAfter the best line for the opponent afterwards — both white-relative
+ * as returned by StockfishProcess._buildResult (mate = ±10000).
+ *
+ * Per-player accuracy uses the Lichess win-percentage model:
+ *   win%     = 50 + 50 · (2 / (1 + e^(−0.00368208 · cp)) − 1)
+ *   accuracy = 103.1668 · e^(−0.04354 · (win%before − win%after)) − 3.1669
+ */
+
+import { replayMoves } from "../chess/Position.js";
+
+// Scores are clamped before computing loss so a missed mate (±10000) counts
+// as a large but finite loss instead of dominating the average.
+const EVAL_CAP = 1000;
+
+// Minimum centipawn loss per classification, worst first
+const THRESHOLDS = [
+  [300, "blunder"],
+  [100, "mistake"],
+  [50,  "inaccuracy"],
+];
+
+/**
+ * Analyse a game.
+ *
+ * @param {EnginePool} pool
+ * @param {Position}   start   Starting position
+ * @param {string[]}   moves   SAN or UCI moves
+ * @param {object}     options
+ * @param {number}     options.depth
+ * @param {AbortSignal} [options.signal]
+ * @param {number}     [options.timeBudgetMs]  Time per position; the deepest complete result when it runs out
+ * @param {number}     [options.timeoutMs]   Hard timeout per position (engine default otherwise)
+ * @param {boolean}    [options.watchStalls=true]  false lets a search stay silent until its timeout
+ * @param {string}     [options.priority="batch"]  Pool priority class for the positions
+ * @param {Function}   [options.onProgress]  Called as ({ evaluated, total }) after each position
+ * @returns {Promise<{ startFen, finalFen, moves: object[], players: object }>}
+ * @throws {Error} `Illegal move …` before any engine work is queued
+ */
+export async function analyzeGame(pool, start, moves, {
+  depth,
+  signal,
+  timeBudgetMs,
+  timeoutMs,
+  watchStalls,
+  priority = "batch",
+  onProgress,
+}) {
+  const { final, plies } = replayMoves(start, moves);
+  const positions = [start, ...plies.map((p) => p.after)];
+
+  // Every position is queued at once (batch or background class); the pool
+  // spreads them over its engines and they never count against the
+  // interactive limit.
+  // One failed search fails the whole analysis, so the others are cancelled
+  // instead of running on for nothing. The caller's signal cancels them too.
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  signal?.addEventListener("abort", cancel, { once: true });
+  if (signal?.aborted) cancel();
+
+  const search = { signal: controller.signal, timeBudgetMs, timeoutMs, watchStalls, priority };
+  let evaluated = 0;
+  let evals;
+  try {
+    evals = await Promise.all(positions.map(async (position) => {
+      const result = await evaluatePosition(pool, position, depth, search);
+      onProgress?.({ evaluated: ++evaluated, total: positions.length });
+      return result;
+    }));
+  } catch (err) {
+    cancel();
+    throw err;
+  } finally {
+    signal?.removeEventListener("abort", cancel);
+  }
+
+  const analysed = plies.map((ply, i) => {
+    const before = evals[i];
+    const after  = evals[i + 1];
+    const color  = ply.before.turn;
+    const pov    = color === "w" ? 1 : -1;
+
+    const best     = before.bestMove;
+    const bestMove = best ? ply.before.parseUci(best) : null;
+    const isBest   = best === ply.uci;
+
+    const cpLoss = isBest
+      ? 0
+      : Math.max(0, pov * (clamp(before.evaluation) - clamp(after.evaluation)));
+
+    return {
+      ply:            i + 1,
+      moveNumber:     ply.before.fullmove,
+      color,
+      san:            ply.san,
+      uci:            ply.uci,
+      fenBefore:      ply.before.toFen(),
+      fenAfter:       ply.after.toFen(),
+      evalBefore:     before.evaluation,
+      mateBefore:     before.mate,
+      evalAfter:      after.evaluation,
+      mateAfter:      after.mate,
+      cpLoss,
+      bestMove:       best,
+      bestMoveSan:    bestMove ? ply.before.toSan(bestMove) : null,
+      classification: isBest ? "best" : classify(cpLoss),
+      accuracy:       isBest
+        ? 100
+        : moveAccuracy(pov * clamp(before.evaluation), pov * clamp(after.evaluation)),
+    };
+  });
+
+  return {
+    startFen: start.toFen(),
+    finalFen: final.toFen(),
+    moves:    analysed,
+    players: {
+      white: summarize(analysed.filter((m) => m.color === "w")),
+      black: summarize(analysed.filter((m) => m.color === "b")),
+    },
+  };
+}
+
+/**
+ * Evaluate one position. Game-over positions are scored here — the engine
+ * has no move to search there and would report no line at all.
+ */
+async function evaluatePosition(pool, position, depth, search) {
+  if (position.legalMoves().length === 0) {
+    if (!position.inCheck()) return { evaluation: 0, mate: null, bestMove: null };
+    // Side to move is mated
+    return {
+      evaluation: position.turn === "w" ? -10000 : 10000,
+      mate:       0,
+      bestMove:   null,
+    };
+  }
+
+  const result = await pool.evaluate(position.toFen(), depth, { ...search, multiPV: 1 });
+  return { evaluation: result.evaluation ?? 0, mate: result.mate, bestMove: result.bestMove };
+}
+
+function clamp(cp) {
+  return Math.max(-EVAL_CAP, Math.min(EVAL_CAP, cp));
+}
+
+function classify(cpLoss) {
+  for (const [min, label] of THRESHOLDS) {
+    if (cpLoss >= min) return label;
+  }
+  return "good";
+}
+
+function winPercent(cp) {
+  return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+}
+
+/** Accuracy (0–100) of one move from mover-relative scores before/after. */
+function moveAccuracy(before, after) {
+  const drop = Math.max(0, winPercent(before) - winPercent(after));
+  const acc  = 103.1668 * Math.exp(-0.04354 * drop) - 3.1669;
+  return round1(Math.max(0, Math.min(100, acc)));
+}
+
+function summarize(moves) {
+  const count = (label) => moves.filter((m) => m.classification === label).length;
+  const mean  = (key) => moves.length
+    ? moves.reduce((sum, m) => sum + m[key], 0) / moves.length
+    : null;
+
+  return {
+    moves:        moves.length,
+    accuracy:     moves.length ? round1(mean("accuracy")) : null,
+    acpl:         moves.length ? Math.round(mean("cpLoss")) : null,
+    best:         count("best"),
+    inaccuracies: count("inaccuracy"),
+    mistakes:     count("mistake"),
+    blunders:     count("blunder"),
+  };
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
@@ -0,0 +1,380 @@
+/**
+ * KeyStore
+ *
+ * Named API keys with per-key limits, kept in a JSON file so operators can
+ * add and revoke keys at runtime without a restart.
+ *
+ * File format (API_KEYS_FILE):
+ *   {
+ *     "keys": [
+ *       { "name": "production", "hash": "<sha256 of the key>", "rpm": 600,
+ *         "dailyDepth": null, "dailyNodes": 5000000000,
+ *         "endpoints": ["/evaluate", "/evaluate/stream"],
+ *         "revoked": false, "createdAt": "2024-05-01T12:00:00.000Z" }
+ *     ]
+ *   }
+ *   A hand-written entry may give "key" (plaintext) instead of "hash"; it is
+ *   stored hashed the next time the file is written.
+ *
+ * Limits per key (null = unlimited):
+ *   - rpm         requests in any 60 s window         → 429, Retry-After until a slot frees
+ *   - dailyDepth  sum of depths searched per UTC day  → 429, Retry-After until midnight UTC
+ *   - dailyNodes  nodes searched per UTC day          → 429, Retry-After until midnight UTC
+ *   - endpoints   routes the key may call             → 403
+ *
+ * Without a key file and a legacy key the store is open: the service runs
+ * without authentication until a key is created. Once keys are configured
+ * it never opens again — revoking every key rejects every request.
+ *
+ * Usage counters live in memory and restart from zero with the process.
+ * Only searches run on an engine are charged — cached and tablebase answers
+ * are free.
+ *
+ * Usage:
+ *   const keys = new KeyStore({ path: "keys.json" });
+ *   await keys.load();
+ *   const key = keys.find(token);
+ *   const denied = keys.admit(key, "/evaluate");   // null or { status, error, retryAfter }
+ *   keys.charge(key, result);
+ */
+
+import { createHash, randomBytes } from "crypto";
+import { readFile, writeFile, rename } from "fs/promises";
+
+const WINDOW_MS = 60_000;
+const DAY_MS    = 24 * 60 * 60 * 1000;
+
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+const LIMIT_FIELDS = ["rpm", "dailyDepth", "dailyNodes"];
+
+export class KeyStore {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.path=null]       JSON file; null → keys live in memory only
+   * @param {string|null} [options.legacyKey=null]  Single unlimited key (STOCKFISH_API_KEY), named "default"
+   */
+  constructor({ path = null, legacyKey = null } = {}) {
+    this._path      = path;
+    this._legacyKey = legacyKey;
+    this._open      = false;   // set by load()
+    this._saving    = Promise.resolve();   // tail of the save chain — one write at a time
+
+    // hash → key record:
+    // { name, hash, rpm, dailyDepth, dailyNodes, endpoints, revoked,
+    //   createdAt, persist }
+    this._byHash = new Map();
+
+    // name → usage: { recent: number[], day, requests, depth, nodes, throttled }
+    this._usage = new Map();
+  }
+
+  /**
+   * Read the key file (a missing file is an empty store) and add the legacy key.
+   *
+   * @throws {Error} on an unreadable or malformed file
+   */
+  async load() {
+    if (this._path) {
+      let text = null;
+      try {
+        text = await readFile(this._path, "utf8");
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+
+      if (text !== null) {
+        const { keys = [] } = JSON.parse(text);
+        for (const entry of keys) {
+          const record = this._normalize(entry);
+          this._byHash.set(record.hash, record);
+        }
+      }
+    }
+
+    if (this._legacyKey && this._findByName("default")) {
+      console.warn(
+        '[KeyStore] The key file already has a key named "default" — ' +
+        "STOCKFISH_API_KEY is ignored."
+      );
+    } else if (this._legacyKey) {
+      const record = this._normalize({ name: "default", key: this._legacyKey });
+      record.persist = false;   // comes from the environment on every start
+      this._byHash.set(record.hash, record);
+    }
+
+    this._open = !this._path && !this._legacyKey;
+    if (this._open) {
+      console.log("[KeyStore] No API keys configured — authentication disabled.");
+    } else {
+      console.log(`[KeyStore] ${this.size} API key(s) loaded.`);
+    }
+  }
+
+  /**
+   * Whether requests are served without authentication: no key file and no
+   * legacy key at startup, and no key created since.
+   */
+  get open() {
+    return this._open;
+  }
+
+  /**
+   * Active keys.
+   */
+  get size() {
+    let n = 0;
+    for (const record of this._byHash.values()) {
+      if (!record.revoked) n++;
+    }
+    return n;
+  }
+
+  /**
+   * @param {string} token  Key presented by the client
+   * @returns {object|null} Active key record
+   */
+  find(token) {
+    const record = this._byHash.get(hashKey(token));
+    return record && !record.revoked ? record : null;
+  }
+
+  /**
+   * Check a request against the key's limits and count it if admitted.
+   *
+   * @param {object} record    From find()
+   * @param {string} endpoint  Route path, e.g. "/evaluate"
+   * @returns {null|{ status: 403|429, error: string, retryAfter?: number }}
+   *          null when admitted; retryAfter in seconds
+   */
+  admit(record, endpoint) {
+    if (record.endpoints && !record.endpoints.includes(endpoint)) {
+      return { status: 403, error: `Endpoint ${endpoint} not allowed for this key` };
+    }
+
+    const now   = Date.now();
+    const usage = this._usageFor(record.name, now);
+
+    if (record.dailyDepth !== null && usage.depth >= record.dailyDepth) {
+      usage.throttled++;
+      return { status: 429, error: "Daily depth budget exhausted", retryAfter: untilMidnight(now) };
+    }
+    if (record.dailyNodes !== null && usage.nodes >= record.dailyNodes) {
+      usage.throttled++;
+      return { status: 429, error: "Daily node budget exhausted", retryAfter: untilMidnight(now) };
+    }
+
+    usage.recent = usage.recent.filter((t) => t > now - WINDOW_MS);
+    if (record.rpm !== null && usage.recent.length >= record.rpm) {
+      usage.throttled++;
+      const retryAfter = Math.ceil((usage.recent[0] + WINDOW_MS - now) / 1000);
+      return { status: 429, error: "Rate limit exceeded", retryAfter: Math.max(1, retryAfter) };
+    }
+
+    usage.recent.push(now);
+    usage.requests++;
+    return null;
+  }
+
+  /**
+   * Charge an engine search to the key's daily budgets. A request already
+   * admitted always completes, even if it takes the key over budget.
+   *
+   * @param {object} record
+   * @param {EvalResult} result  Search result (depthReached, stats.nodes)
+   */
+  charge(record, result) {
+    const usage = this._usageFor(record.name, Date.now());
+    usage.depth += result.depthReached ?? 0;
+    usage.nodes += result.stats?.nodes ?? 0;
+  }
+
+  // ── Administration ─────────────────────────────────────────────────────────
+
+  /**
+   * Create a key. The plaintext key is returned once and never stored.
+   *
+   * @param {object}   spec
+   * @param {string}   spec.name
+   * @param {number}   [spec.rpm]
+   * @param {number}   [spec.dailyDepth]
+   * @param {number}   [spec.dailyNodes]
+   * @param {string[]} [spec.endpoints]
+   * @returns {Promise<{ key: string, info: object }>}
+   * @throws {Error} "Invalid key name", "Invalid <field>", "Key already exists"
+   */
+  async create({ name, rpm, dailyDepth, dailyNodes, endpoints }) {
+    if (this._findByName(name)) {
+      throw new Error("Key already exists");
+    }
+
+    const key    = randomBytes(24).toString("base64url");
+    const record = this._normalize({
+      name, rpm, dailyDepth, dailyNodes, endpoints, key,
+      createdAt: new Date().toISOString(),
+    });
+    this._byHash.set(record.hash, record);
+    try {
+      await this._save();
+    } catch (err) {
+      this._byHash.delete(record.hash);   // not handed out — don't keep it
+      throw err;
+    }
+    this._open = false;   // keys are configured from now on
+
+    console.log(`[KeyStore] Key "${record.name}" created.`);
+    return { key, info: this.describe(record.name) };
+  }
+
+  /**
+   * Revoke a key. The record is kept so its usage stays inspectable.
+   *
+   * @param {string} name
+   * @returns {Promise<object|null>} Key info, or null if unknown
+   */
+  async revoke(name) {
+    const record = this._findByName(name);
+    if (!record) return null;
+
+    if (!record.revoked) {
+      record.revoked = true;
+      try {
+        await this._save();
+      } catch (err) {
+        record.revoked = false;
+        throw err;
+      }
+      console.log(`[KeyStore] Key "${name}" revoked.`);
+    }
+    return this.describe(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {object|null} Limits and today's usage, never the key itself
+   */
+  describe(name) {
+    const record = this._findByName(name);
+    if (!record) return null;
+
+    const now   = Date.now();
+    const usage = this._usageFor(name, now);
+    return {
+      name:       record.name,
+      rpm:        record.rpm,
+      dailyDepth: record.dailyDepth,
+      dailyNodes: record.dailyNodes,
+      endpoints:  record.endpoints,
+      revoked:    record.revoked,
+      createdAt:  record.createdAt,
+      usage: {
+        day:        usage.day,
+        requests:   usage.requests,
+        depth:      usage.depth,
+        nodes:      usage.nodes,
+        throttled:  usage.throttled,
+        lastMinute: usage.recent.filter((t) => t > now - WINDOW_MS).length,
+      },
+    };
+  }
+
+  /**
+   * @returns {object[]} describe() of every key, revoked ones included
+   */
+  list() {
+    return [...this._byHash.values()].map((record) => this.describe(record.name));
+  }
+
+  // ── Internal ───────────────────────────────────────────────────────────────
+
+  _findByName(name) {
+    for (const record of this._byHash.values()) {
+      if (record.name === name) return record;
+    }
+    return null;
+  }
+
+  /**
+   * Validate a file entry or create() spec into a key record.
+   */
+  _normalize(entry) {
+    if (typeof entry.name !== "string" || !NAME_PATTERN.test(entry.name)) {
+      throw new Error("Invalid key name");
+    }
+    if (!entry.hash && !entry.key) {
+      throw new Error(`Key "${entry.name}" has neither hash nor key`);
+    }
+
+    const limits = {};
+    for (const field of LIMIT_FIELDS) {
+      const value = entry[field] ?? null;
+      if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`Invalid ${field}`);
+      }
+      limits[field] = value;
+    }
+
+    const endpoints = entry.endpoints ?? null;
+    if (endpoints !== null &&
+        (!Array.isArray(endpoints) || !endpoints.every((e) => typeof e === "string"))) {
+      throw new Error("Invalid endpoints");
+    }
+
+    return {
+      name:      entry.name,
+      hash:      entry.hash ?? hashKey(entry.key),
+      ...limits,
+      endpoints,
+      revoked:   entry.revoked === true,
+      createdAt: entry.createdAt ?? null,
+      persist:   true,
+    };
+  }
+
+  /**
+   * Today's usage for a key; counters roll over at midnight UTC.
+   */
+  _usageFor(name, now) {
+    const day = new Date(now).toISOString().slice(0, 10);
+    let usage = this._usage.get(name);
+    if (!usage) {
+      usage = { recent: [], day, requests: 0, depth: 0, nodes: 0, throttled: 0 };
+      this._usage.set(name, usage);
+    } else if (usage.day !== day) {
+      Object.assign(usage, { day, requests: 0, depth: 0, nodes: 0, throttled: 0 });
+    }
+    return usage;
+  }
+
+  /**
+   * Write the key file atomically (temp file + rename). Saves are queued so
+   * concurrent changes never share the temp file; each write takes the keys
+   * as they are when it starts. Without a path the change only lasts until
+   * the process restarts.
+   */
+  _save() {
+    if (!this._path) return Promise.resolve();
+
+    const write = this._saving.then(() => this._write());
+    this._saving = write.catch(() => {});   // a failed save does not block the next
+    return write;
+  }
+
+  async _write() {
+    const keys = [...this._byHash.values()]
+      .filter((record) => record.persist)
+      .map(({ persist, ...record }) => record);
+
+    const tmp = `${this._path}.tmp`;
+    await writeFile(tmp, JSON.stringify({ keys }, null, 2) + "\n", { mode: 0o600 });
+    await rename(tmp, this._path);
+  }
+}
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+function untilMidnight(now) {
+  return Math.ceil((DAY_MS - (now % DAY_MS)) / 1000);
+}
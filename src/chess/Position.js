@@ -0,0 +1,553 @@
+/**
+ * Position
+ *
+ * Minimal chess rules: FEN parsing/serialisation, legal move generation,
+ * UCI and SAN move notation. No external dependency — only what the service
+ * needs to replay move lists and annotate engine output.
+ *
+ * Board layout: 64-element array, index = rank * 8 + file (a1 = 0, h8 = 63).
+ * Pieces are FEN characters ("P", "n", …) — uppercase is white; empty = null.
+ *
+ * Positions are immutable: play() returns a new Position.
+ *
+ * Usage:
+ *   const pos  = Position.fromFen(fen);
+ *   const move = pos.parseMove("Nf3");        // SAN or UCI
+ *   const next = pos.play(move);
+ *   next.toFen();
+ */
+
+export const STARTPOS_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+const FILES = "abcdefgh";
+
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_STEPS   = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+const ROOK_DIRS    = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const BISHOP_DIRS  = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+const UCI_RE = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/;
+
+// Castling: king/rook start and target squares, plus squares that must be empty
+// and squares the king passes through (must not be attacked).
+const CASTLES = {
+  K: { king: 4,  rook: 7,  kingTo: 6,  rookTo: 5,  empty: [5, 6],      path: [4, 5, 6] },
+  Q: { king: 4,  rook: 0,  kingTo: 2,  rookTo: 3,  empty: [1, 2, 3],   path: [4, 3, 2] },
+  k: { king: 60, rook: 63, kingTo: 62, rookTo: 61, empty: [61, 62],    path: [60, 61, 62] },
+  q: { king: 60, rook: 56, kingTo: 58, rookTo: 59, empty: [57, 58, 59], path: [60, 59, 58] },
+};
+
+/** "e4" → 28 */
+export function squareIndex(name) {
+  return (name.charCodeAt(1) - 49) * 8 + (name.charCodeAt(0) - 97);
+}
+
+/** 28 → "e4" */
+export function squareName(sq) {
+  return FILES[sq & 7] + ((sq >> 3) + 1);
+}
+
+function colorOf(piece) {
+  return piece === piece.toUpperCase() ? "w" : "b";
+}
+
+function onBoard(file, rank) {
+  return file >= 0 && file < 8 && rank >= 0 && rank < 8;
+}
+
+export class Position {
+  /**
+   * @param {object} state
+   * @param {Array<string|null>} state.board  64 squares, a1 first
+   * @param {"w"|"b"} state.turn
+   * @param {string}  state.castling   Subset of "KQkq", or "" for none
+   * @param {number|null} state.epSquare  En-passant target square
+   * @param {number}  state.halfmove
+   * @param {number}  state.fullmove
+   */
+  constructor({ board, turn, castling, epSquare, halfmove, fullmove }) {
+    this.board    = board;
+    this.turn     = turn;
+    this.castling = castling;
+    this.epSquare = epSquare;
+    this.halfmove = halfmove;
+    this.fullmove = fullmove;
+    this._legal   = null;   // memoised legalMoves()
+  }
+
+  /**
+   * Parse a FEN string. Only the structure is checked here (eight ranks of
+   * eight squares, known fields) — not whether the position could arise;
+   * use validateFen() for request input.
+   *
+   * @param {string} fen
+   * @returns {Position}
+   * @throws {Error} "Invalid FEN" on malformed input
+   */
+  static fromFen(fen) {
+    const parts = String(fen).trim().split(/\s+/);
+    if (parts.length < 4 || parts.length > 6) throw new Error("Invalid FEN");
+
+    const [placement, turn, castling, ep, half = "0", full = "1"] = parts;
+    const ranks = placement.split("/");
+    if (ranks.length !== 8) throw new Error("Invalid FEN");
+
+    const board = new Array(64).fill(null);
+    for (let r = 0; r < 8; r++) {
+      let file = 0;
+      for (const ch of ranks[r]) {
+        if (/[1-8]/.test(ch)) {
+          file += Number(ch);
+        } else if (/[prnbqkPRNBQK]/.test(ch)) {
+          if (file > 7) throw new Error("Invalid FEN");
+          board[(7 - r) * 8 + file] = ch;
+          file++;
+        } else {
+          throw new Error("Invalid FEN");
+        }
+      }
+      if (file !== 8) throw new Error("Invalid FEN");
+    }
+
+    if (turn !== "w" && turn !== "b") throw new Error("Invalid FEN");
+    if (!/^(-|K?Q?k?q?)$/.test(castling)) throw new Error("Invalid FEN");
+    if (!/^(-|[a-h][36])$/.test(ep)) throw new Error("Invalid FEN");
+    if (!/^\d+$/.test(half) || !/^\d+$/.test(full)) throw new Error("Invalid FEN");
+
+    return new Position({
+      board,
+      turn,
+      castling: castling === "-" ? "" : castling,
+      epSquare: ep === "-" ? null : squareIndex(ep),
+      halfmove: Number(half),
+      fullmove: Math.max(1, Number(full)),
+    });
+  }
+
+  /**
+   * @returns {string} FEN of this position
+   */
+  toFen() {
+    const ranks = [];
+    for (let r = 7; r >= 0; r--) {
+      let row = "";
+      let empty = 0;
+      for (let f = 0; f < 8; f++) {
+        const piece = this.board[r * 8 + f];
+        if (!piece) {
+          empty++;
+          continue;
+        }
+        if (empty) row += empty;
+        row += piece;
+        empty = 0;
+      }
+      if (empty) row += empty;
+      ranks.push(row);
+    }
+
+    return [
+      ranks.join("/"),
+      this.turn,
+      this.castling || "-",
+      this.epSquare === null ? "-" : squareName(this.epSquare),
+      this.halfmove,
+      this.fullmove,
+    ].join(" ");
+  }
+
+  // ── Attacks & check ────────────────────────────────────────────────────────
+
+  /**
+   * Square of the given side's king, or -1 if there is none.
+   *
+   * @param {"w"|"b"} color
+   */
+  kingSquare(color) {
+    return this.board.indexOf(color === "w" ? "K" : "k");
+  }
+
+  /**
+   * Is `sq` attacked by any piece of color `by`?
+   *
+   * @param {number}  sq
+   * @param {"w"|"b"} by
+   */
+  isAttacked(sq, by) {
+    const file = sq & 7;
+    const rank = sq >> 3;
+    const own  = (p) => this.board[p] && colorOf(this.board[p]) === by;
+    const is   = (p, type) => own(p) && this.board[p].toLowerCase() === type;
+
+    // Pawns attack diagonally forward — look one rank "behind" the square
+    const pawnRank = by === "w" ? rank - 1 : rank + 1;
+    for (const df of [-1, 1]) {
+      if (onBoard(file + df, pawnRank) && is(pawnRank * 8 + file + df, "p")) return true;
+    }
+
+    for (const [df, dr] of KNIGHT_STEPS) {
+      if (onBoard(file + df, rank + dr) && is((rank + dr) * 8 + file + df, "n")) return true;
+    }
+
+    for (const [df, dr] of KING_STEPS) {
+      if (onBoard(file + df, rank + dr) && is((rank + dr) * 8 + file + df, "k")) return true;
+    }
+
+    const slides = [[ROOK_DIRS, "r"], [BISHOP_DIRS, "b"]];
+    for (const [dirs, type] of slides) {
+      for (const [df, dr] of dirs) {
+        let f = file + df;
+        let r = rank + dr;
+        while (onBoard(f, r)) {
+          const p = r * 8 + f;
+          if (this.board[p]) {
+            if (is(p, type) || is(p, "q")) return true;
+            break;
+          }
+          f += df;
+          r += dr;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Is the given side's king attacked? Defaults to the side to move.
+   *
+   * @param {"w"|"b"} [color]
+   */
+  inCheck(color = this.turn) {
+    const king = this.kingSquare(color);
+    return king !== -1 && this.isAttacked(king, color === "w" ? "b" : "w");
+  }
+
+  isCheckmate() {
+    return this.inCheck() && this.legalMoves().length === 0;
+  }
+
+  isStalemate() {
+    return !this.inCheck() && this.legalMoves().length === 0;
+  }
+
+  // ── Move generation ────────────────────────────────────────────────────────
+
+  /**
+   * All legal moves for the side to move.
+   *
+   * Move shape: { from, to, piece, captured, promotion, castle, enPassant }
+   *   promotion — lowercase piece letter or null
+   *   castle    — "K" | "Q" | "k" | "q" | null
+   *
+   * @returns {object[]}
+   */
+  legalMoves() {
+    if (!this._legal) {
+      this._legal = this._pseudoMoves().filter((m) => !this.play(m).inCheck(this.turn));
+    }
+    return this._legal;
+  }
+
+  _pseudoMoves() {
+    const moves = [];
+    const us    = this.turn;
+    const them  = us === "w" ? "b" : "w";
+
+    const add = (from, to, extra = {}) => {
+      const captured = this.board[to];
+      moves.push({
+        from,
+        to,
+        piece: this.board[from],
+        captured,
+        promotion: null,
+        castle: null,
+        enPassant: false,
+        ...extra,
+      });
+    };
+
+    for (let sq = 0; sq < 64; sq++) {
+      const piece = this.board[sq];
+      if (!piece || colorOf(piece) !== us) continue;
+
+      const file = sq & 7;
+      const rank = sq >> 3;
+      const type = piece.toLowerCase();
+
+      if (type === "p") {
+        const dir       = us === "w" ? 1 : -1;
+        const startRank = us === "w" ? 1 : 6;
+        const lastRank  = us === "w" ? 7 : 0;
+
+        const addPawn = (to, extra) => {
+          if ((to >> 3) === lastRank) {
+            for (const promotion of ["q", "r", "b", "n"]) add(sq, to, { ...extra, promotion });
+          } else {
+            add(sq, to, extra);
+          }
+        };
+
+        const one = sq + dir * 8;
+        if (onBoard(file, rank + dir) && !this.board[one]) {
+          addPawn(one);
+          const two = sq + dir * 16;
+          if (rank === startRank && !this.board[two]) add(sq, two);
+        }
+
+        for (const df of [-1, 1]) {
+          if (!onBoard(file + df, rank + dir)) continue;
+          const to     = (rank + dir) * 8 + file + df;
+          const target = this.board[to];
+          if (target && colorOf(target) === them) {
+            addPawn(to);
+          } else if (to === this.epSquare && !target) {
+            add(sq, to, { captured: them === "w" ? "P" : "p", enPassant: true });
+          }
+        }
+        continue;
+      }
+
+      if (type === "n" || type === "k") {
+        for (const [df, dr] of type === "n" ? KNIGHT_STEPS : KING_STEPS) {
+          if (!onBoard(file + df, rank + dr)) continue;
+          const to     = (rank + dr) * 8 + file + df;
+          const target = this.board[to];
+          if (!target || colorOf(target) === them) add(sq, to);
+        }
+        continue;
+      }
+
+      const dirs = type === "r" ? ROOK_DIRS
+        : type === "b" ? BISHOP_DIRS
+        : [...ROOK_DIRS, ...BISHOP_DIRS];
+      for (const [df, dr] of dirs) {
+        let f = file + df;
+        let r = rank + dr;
+        while (onBoard(f, r)) {
+          const to     = r * 8 + f;
+          const target = this.board[to];
+          if (target) {
+            if (colorOf(target) === them) add(sq, to);
+            break;
+          }
+          add(sq, to);
+          f += df;
+          r += dr;
+        }
+      }
+    }
+
+    // Castling — rights, empty squares, and no attacked square on the king's path
+    for (const right of us === "w" ? ["K", "Q"] : ["k", "q"]) {
+      if (!this.castling.includes(right)) continue;
+      const c    = CASTLES[right];
+      const king = us === "w" ? "K" : "k";
+      const rook = us === "w" ? "R" : "r";
+      if (this.board[c.king] !== king || this.board[c.rook] !== rook) continue;
+      if (c.empty.some((p) => this.board[p])) continue;
+      if (c.path.some((p) => this.isAttacked(p, them))) continue;
+      add(c.king, c.kingTo, { castle: right });
+    }
+
+    return moves;
+  }
+
+  // ── Making moves ───────────────────────────────────────────────────────────
+
+  /**
+   * Apply a move (as returned by legalMoves/parseMove) and return the new position.
+   * The move is not re-validated.
+   *
+   * @param {object} move
+   * @returns {Position}
+   */
+  play(move) {
+    const board = this.board.slice();
+    const us    = this.turn;
+
+    board[move.to]   = move.promotion
+      ? (us === "w" ? move.promotion.toUpperCase() : move.promotion)
+      : move.piece;
+    board[move.from] = null;
+
+    if (move.enPassant) {
+      board[move.to + (us === "w" ? -8 : 8)] = null;
+    }
+
+    if (move.castle) {
+      const c = CASTLES[move.castle];
+      board[c.rookTo] = board[c.rook];
+      board[c.rook]   = null;
+    }
+
+    // Castling rights disappear when the king or a rook leaves / is captured on its square
+    let castling = this.castling;
+    for (const [right, c] of Object.entries(CASTLES)) {
+      if ([move.from, move.to].some((p) => p === c.king || p === c.rook)) {
+        castling = castling.replace(right, "");
+      }
+    }
+
+    const type     = move.piece.toLowerCase();
+    const epSquare = type === "p" && Math.abs(move.to - move.from) === 16
+      ? (move.from + move.to) / 2
+      : null;
+
+    return new Position({
+      board,
+      turn:     us === "w" ? "b" : "w",
+      castling,
+      epSquare,
+      halfmove: type === "p" || move.captured ? 0 : this.halfmove + 1,
+      fullmove: us === "b" ? this.fullmove + 1 : this.fullmove,
+    });
+  }
+
+  // ── Notation ───────────────────────────────────────────────────────────────
+
+  /**
+   * @param {object} move
+   * @returns {string} UCI notation, e.g. "e7e8q"
+   */
+  toUci(move) {
+    return squareName(move.from) + squareName(move.to) + (move.promotion ?? "");
+  }
+
+  /**
+   * @param {object} move  A legal move in this position
+   * @returns {string} SAN, e.g. "Nbd7", "exd6", "e8=Q+", "O-O-O#"
+   */
+  toSan(move) {
+    let san;
+
+    if (move.castle) {
+      san = move.castle.toLowerCase() === "k" ? "O-O" : "O-O-O";
+    } else {
+      const type    = move.piece.toUpperCase();
+      const capture = move.captured ? "x" : "";
+      const to      = squareName(move.to);
+
+      if (type === "P") {
+        san = (capture ? FILES[move.from & 7] + "x" : "") + to;
+        if (move.promotion) san += "=" + move.promotion.toUpperCase();
+      } else {
+        san = type + this._disambiguation(move) + capture + to;
+      }
+    }
+
+    const next = this.play(move);
+    if (next.inCheck()) san += next.legalMoves().length === 0 ? "#" : "+";
+    return san;
+  }
+
+  /**
+   * File, rank or full square needed to tell `move` apart from other legal
+   * moves of the same piece type to the same square.
+   */
+  _disambiguation(move) {
+    const rivals = this.legalMoves().filter((m) =>
+      m !== move && m.piece === move.piece && m.to === move.to && m.from !== move.from
+    );
+    if (rivals.length === 0) return "";
+
+    const from = squareName(move.from);
+    if (!rivals.some((m) => (m.from & 7) === (move.from & 7))) return from[0];
+    if (!rivals.some((m) => (m.from >> 3) === (move.from >> 3))) return from[1];
+    return from;
+  }
+
+  /**
+   * Find the legal move for a UCI string, or null.
+   *
+   * @param {string} uci
+   */
+  parseUci(uci) {
+    const m = UCI_RE.exec(uci);
+    if (!m) return null;
+    const from      = squareIndex(m[1]);
+    const to        = squareIndex(m[2]);
+    const promotion = m[3] ?? null;
+    return this.legalMoves().find((mv) =>
+      mv.from === from && mv.to === to && mv.promotion === promotion
+    ) ?? null;
+  }
+
+  /**
+   * Find the legal move for a SAN string, or null. Tolerates check/annotation
+   * suffixes ("+", "#", "!?"), zero castling ("0-0") and promotions without "=".
+   *
+   * @param {string} san
+   */
+  parseSan(san) {
+    const clean = String(san)
+      .replace(/[+#!?]+$/, "")
+      .replace(/0/g, "O")
+      .replace(/^([a-h](?:x[a-h])?[18])([QRBN])$/, "$1=$2");
+
+    return this.legalMoves().find((mv) =>
+      this.toSan(mv).replace(/[+#]$/, "") === clean
+    ) ?? null;
+  }
+
+  /**
+   * Find the legal move for a UCI or SAN string, or null.
+   *
+   * @param {string} str
+   */
+  parseMove(str) {
+    if (typeof str !== "string") return null;
+    return UCI_RE.test(str) ? this.parseUci(str) : this.parseSan(str);
+  }
+}
+
+/**
+ * Play a list of SAN/UCI moves from `start`, keeping every intermediate step.
+ *
+ * @param {Position} start
+ * @param {string[]} moves
+ * @returns {{ final: Position, plies: Array<{ before: Position, after: Position,
+ *            move: object, san: string, uci: string }> }}
+ * @throws {Error} `Illegal move "Nf6" at ply 3`
+ */
+export function replayMoves(start, moves) {
+  const plies = [];
+  let position = start;
+
+  moves.forEach((str, i) => {
+    const move = position.parseMove(str);
+    if (!move) throw new Error(`Illegal move "${str}" at ply ${i + 1}`);
+
+    const after = position.play(move);
+    plies.push({ before: position, after, move, san: position.toSan(move), uci: position.toUci(move) });
+    position = after;
+  });
+
+  return { final: position, plies };
+}
+
+/**
+ * Convert a UCI principal variation to SAN, starting from `position`.
+ * Stops at the first move that is not legal (the rest of the line is dropped).
+ *
+ * @param {Position} position
+ * @param {string[]} pv  UCI moves
+ * @returns {{ san: string|null, pvSan: string[], fenAfter: string|null }}
+ *   san / fenAfter describe the first move of the line
+ */
+export function annotatePv(position, pv) {
+  const pvSan = [];
+  let fenAfter = null;
+  let current = position;
+
+  for (const uci of pv) {
+    const move = current.parseUci(uci);
+    if (!move) break;
+    pvSan.push(current.toSan(move));
+    current = current.play(move);
+    if (pvSan.length === 1) fenAfter = current.toFen();
+  }
+
+  return { san: pvSan[0] ?? null, pvSan, fenAfter };
+}
@@ -0,0 +1,53 @@
+/**
+ * PGN parsing
+ *
+ * Reads a single game: tag pairs plus the SAN movetext of the main line.
+ * Comments, variations, NAGs, move numbers and the result token are skipped.
+ */
+
+const TAG_RE = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/;
+const RESULT_RE = /^(1-0|0-1|1\/2-1\/2|\*)$/;
+
+/**
+ * @param {string} pgn
+ * @returns {{ headers: Record<string, string>, moves: string[] }}
+ *   headers.FEN is set when the game starts from a custom position
+ * @throws {Error} "Invalid PGN" on unbalanced comments or variations
+ */
+export function parsePgn(pgn) {
+  const headers = {};
+  const movetext = [];
+
+  for (const line of String(pgn).split(/\r?\n/)) {
+    const tag = TAG_RE.exec(line);
+    if (tag) {
+      headers[tag[1]] = tag[2].replace(/\\(.)/g, "$1");
+    } else if (!line.startsWith("%")) {
+      movetext.push(line);
+    }
+  }
+
+  const text = movetext.join("\n")
+    .replace(/;[^\n]*/g, " ")                 // rest-of-line comments
+    .replace(/\{[^}]*\}/g, " ");              // brace comments
+
+  if (text.includes("{") || text.includes("}")) throw new Error("Invalid PGN");
+
+  // Drop variations — nested, so strip innermost first
+  let mainline = text;
+  let previous;
+  do {
+    previous = mainline;
+    mainline = mainline.replace(/\([^()]*\)/g, " ");
+  } while (mainline !== previous);
+
+  if (mainline.includes("(") || mainline.includes(")")) throw new Error("Invalid PGN");
+
+  const moves = mainline
+    .replace(/\$\d+/g, " ")                   // NAGs
+    .replace(/\d+\.(\.\.)?/g, " ")            // move numbers: "12." / "12..."
+    .split(/\s+/)
+    .filter((token) => token && !RESULT_RE.test(token));
+
+  return { headers, moves };
+}
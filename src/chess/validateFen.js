@@ -0,0 +1,145 @@
+/**
+ * FEN validation
+ *
+ * Rejects positions Stockfish can crash or hang on — not just malformed
+ * strings but boards that cannot occur in a game. Every failure carries a
+ * stable machine-readable code:
+ *
+ *   Syntax   INVALID_FORMAT, INVALID_RANK_COUNT, INVALID_RANK_LENGTH,
+ *            INVALID_PIECE, INVALID_SIDE_TO_MOVE, INVALID_CASTLING,
+ *            INVALID_EN_PASSANT, INVALID_MOVE_COUNTERS
+ *   Board    MISSING_KING, TOO_MANY_KINGS, PAWN_ON_BACK_RANK,
+ *            TOO_MANY_PAWNS, TOO_MANY_PIECES, OPPONENT_IN_CHECK
+ *   Fields   CASTLING_RIGHTS_MISMATCH, EN_PASSANT_MISMATCH
+ *
+ * Usage:
+ *   const check = validateFen(fen);
+ *   if (!check.valid) return res.status(400).json({ error: "Invalid FEN", code: check.code });
+ *   check.position;   // parsed Position
+ */
+
+import { Position, squareIndex, squareName } from "./Position.js";
+
+// Home squares each castling right depends on
+const CASTLING_HOME = {
+  K: { king: "e1", rook: "h1", pieces: ["K", "R"] },
+  Q: { king: "e1", rook: "a1", pieces: ["K", "R"] },
+  k: { king: "e8", rook: "h8", pieces: ["k", "r"] },
+  q: { king: "e8", rook: "a8", pieces: ["k", "r"] },
+};
+
+function fail(code, message) {
+  return { valid: false, code, message };
+}
+
+/**
+ * @param {string} fen
+ * @returns {{ valid: true, position: Position } | { valid: false, code: string, message: string }}
+ */
+export function validateFen(fen) {
+  if (typeof fen !== "string") {
+    return fail("INVALID_FORMAT", "FEN must be a string");
+  }
+
+  const fields = fen.trim().split(/\s+/);
+  if (fields.length !== 6) {
+    return fail("INVALID_FORMAT", "FEN must have 6 space-separated fields");
+  }
+
+  const [placement, turn, castling, ep, half, full] = fields;
+
+  // ── Syntax ────────────────────────────────────────────────────────────────
+  const ranks = placement.split("/");
+  if (ranks.length !== 8) {
+    return fail("INVALID_RANK_COUNT", `Expected 8 ranks, got ${ranks.length}`);
+  }
+
+  for (let i = 0; i < 8; i++) {
+    let squares = 0;
+    for (const ch of ranks[i]) {
+      if (/[1-8]/.test(ch)) squares += Number(ch);
+      else if (/[prnbqkPRNBQK]/.test(ch)) squares += 1;
+      else return fail("INVALID_PIECE", `Unknown piece "${ch}" on rank ${8 - i}`);
+    }
+    if (squares !== 8) {
+      return fail("INVALID_RANK_LENGTH", `Rank ${8 - i} has ${squares} squares, expected 8`);
+    }
+  }
+
+  if (turn !== "w" && turn !== "b") {
+    return fail("INVALID_SIDE_TO_MOVE", 'Side to move must be "w" or "b"');
+  }
+  if (!/^(-|K?Q?k?q?)$/.test(castling)) {
+    return fail("INVALID_CASTLING", `Invalid castling field "${castling}"`);
+  }
+  if (!/^(-|[a-h][36])$/.test(ep)) {
+    return fail("INVALID_EN_PASSANT", `Invalid en-passant field "${ep}"`);
+  }
+  // Fullmove 0 is out of spec but common in exported FENs; Position reads it as 1
+  if (!/^\d+$/.test(half) || !/^\d+$/.test(full)) {
+    return fail("INVALID_MOVE_COUNTERS", "Halfmove clock and fullmove number must be non-negative integers");
+  }
+
+  const position = Position.fromFen(fen);
+  const { board } = position;
+
+  // ── Board ─────────────────────────────────────────────────────────────────
+  for (const [king, side] of [["K", "White"], ["k", "Black"]]) {
+    const count = board.filter((p) => p === king).length;
+    if (count === 0) return fail("MISSING_KING", `${side} has no king`);
+    if (count > 1) return fail("TOO_MANY_KINGS", `${side} has ${count} kings`);
+  }
+
+  for (let file = 0; file < 8; file++) {
+    for (const sq of [file, 56 + file]) {
+      if (board[sq] === "P" || board[sq] === "p") {
+        return fail("PAWN_ON_BACK_RANK", `Pawn on ${squareName(sq)}`);
+      }
+    }
+  }
+
+  for (const [pawn, isOwn, side] of [
+    ["P", (p) => p === p.toUpperCase(), "White"],
+    ["p", (p) => p === p.toLowerCase(), "Black"],
+  ]) {
+    const pieces = board.filter((p) => p && isOwn(p));
+    const pawns  = pieces.filter((p) => p === pawn).length;
+    if (pawns > 8) return fail("TOO_MANY_PAWNS", `${side} has ${pawns} pawns`);
+    if (pieces.length > 16) return fail("TOO_MANY_PIECES", `${side} has ${pieces.length} pieces`);
+  }
+
+  const opponent = turn === "w" ? "b" : "w";
+  if (position.inCheck(opponent)) {
+    return fail("OPPONENT_IN_CHECK", "The side not to move is in check");
+  }
+
+  // ── Castling / en passant vs. board ───────────────────────────────────────
+  for (const right of position.castling) {
+    const { king, rook, pieces } = CASTLING_HOME[right];
+    if (board[squareIndex(king)] !== pieces[0] || board[squareIndex(rook)] !== pieces[1]) {
+      return fail(
+        "CASTLING_RIGHTS_MISMATCH",
+        `Castling right "${right}" needs the king on ${king} and a rook on ${rook}`
+      );
+    }
+  }
+
+  if (position.epSquare !== null) {
+    // The side that just moved pushed a pawn two squares through epSquare
+    const expectedRank = turn === "w" ? "6" : "3";
+    const dir          = turn === "w" ? -8 : 8;      // from epSquare toward the pushed pawn
+    const pushedPawn   = turn === "w" ? "p" : "P";
+    const target       = position.epSquare;
+
+    if (
+      ep[1] !== expectedRank ||
+      board[target] ||
+      board[target - dir] ||
+      board[target + dir] !== pushedPawn
+    ) {
+      return fail("EN_PASSANT_MISMATCH", `En-passant square ${ep} does not match the board`);
+    }
+  }
+
+  return { valid: true, position };
+}
@@ -2,13 +2,25 @@
  * EnginePool
  *
  * Manages a fixed-size pool of persistent StockfishProcess instances.
- * Provides a single evaluate() surface with built-in FIFO queuing and
+ * Provides a single evaluate() surface with built-in fair queuing and
  * overflow protection.
  *
  * Concurrency model:
  *   - Free engine available  → run immediately
- *   - All engines busy       → enqueue (FIFO), max configurable depth
- *   - Queue full             → throw "Engine overloaded" (→ 503)
+ *   - All engines busy       → enqueue in the request's priority class
+ *   - Class queue full       → throw "Engine overloaded" (→ 503)
+ *
+ * Priority classes (options.priority), served strictly in this order:
+ *   - "interactive" — synchronous requests; maxQueue entries, at most
+ *     maxQueuePerCaller of them from one caller
+ *   - "batch"       — batch endpoints; maxBatchQueue entries
+ *   - "background"  — asynchronous jobs; maxBackgroundQueue entries
+ * Within a class, callers (options.caller, the API key) are served
+ * round-robin — see FairQueue.
+ *
+ * Backends (options.backend):
+ *   - "native" → StockfishProcess, one child process per engine
+ *   - "wasm"   → WasmStockfishProcess, one worker thread per engine
  *
  * Lifecycle:
  *   const pool = new EnginePool({ binaryPath, size: 2 });
@@ -16,42 +28,255 @@
  *   const result = await pool.evaluate(fen, depth);
  *   await pool.quit();
  *
- * Signal handling (SIGTERM / SIGINT) is registered ONCE here, not per
- * engine, because process.once() silently drops duplicate listeners.
+ * Caching (optional EvalCache):
+ *   - Depth-limited, complete results are cached per position + MultiPV
+ *   - A cached result at depth N answers any request at depth ≤ N
+ *   - Results carry cached: true | false
+ *
+ * Coalescing:
+ *   - Concurrent calls with the same position, move history, MultiPV, search
+ *     limit, time budget, timeout and priority share one queued or running search
+ *   - Every caller receives the same result; progress (onInfo) is fanned out
+ *     to all of them
+ *   - A caller that cancels only leaves the search — it is stopped once the
+ *     last caller has gone
+ *   - Strength-limited searches (options.strength) are neither coalesced nor
+ *     cached
+ *
+ * Watchdog and recycling:
+ *   - Every pingIntervalMs each idle engine is taken out of rotation and
+ *     pinged (`isready`); one that does not answer is killed and replaced
+ *     at once (see StockfishProcess for hang detection during searches).
+ *     Hangs are counted apart from crashes and never trip the crash-loop guard
+ *   - An engine is retired and replaced after recycleAfter evaluations, or
+ *     when its resident memory exceeds maxRssBytes (checked with the ping).
+ *     Recycling is neither a crash nor a restart — it only counts as recycled
+ *
+ * Runtime configuration (configure()):
+ *   - Growing starts the extra engines at once
+ *   - Shrinking retires idle engines first; busy ones finish their search
+ *     and are retired instead of taking more work
+ *   - New MultiPV / Threads / Hash are applied to idle engines immediately
+ *     and to busy ones when their search finishes; replacements start with
+ *     the current options
+ *
+ * Metrics (optional sink from PoolMetrics.profile()):
+ *   - Queue waits, search durations, results and overload rejections are
+ *     reported as they happen; the rest is read from getStatus() and
+ *     getEngineStatus() at scrape time
+ *
+ * Cancellation:
+ *   - evaluate() accepts an AbortSignal; a queued job is removed from the
+ *     queue, a running one is stopped on its engine (see StockfishProcess)
+ *
+ * Crash recovery:
+ *   - A crashed engine is discarded and a replacement is spawned after an
+ *     exponential backoff (respawnBaseDelayMs · 2^n, capped at respawnMaxDelayMs)
+ *   - Queued callers stay queued while the replacement starts
+ *   - More than maxRestarts crashes within restartWindowMs trips the crash-loop
+ *     guard: respawning stops and the pool runs at degraded capacity. After
+ *     crashCooldownMs the guard resets and the missing engines are respawned
+ *
+ * Graceful shutdown:
+ *   - drain() stops accepting evaluations ("Engine pool draining") and waits
+ *     for queued and running ones to finish, up to a deadline
+ *   - quit() then rejects whatever is left and stops the engines
+ *
+ * Signal handling (SIGTERM / SIGINT) is registered ONCE per process, not per
+ * engine or per pool, so one signal shuts everything down exactly once. It
+ * drains every pool for its drainTimeoutMs before quitting; a second signal
+ * while draining exits at once.
  */
 
 import { StockfishProcess } from "./StockfishProcess.js";
+import { WasmStockfishProcess } from "./WasmStockfishProcess.js";
+import { EvalCache } from "./EvalCache.js";
+import { FairQueue } from "./FairQueue.js";
+
+// Engine implementations by backend name. Both speak UCI through the same
+// StockfishProcess logic, so results have the same schema and perspective.
+const BACKENDS = {
+  native: StockfishProcess,       // binaryPath: Stockfish executable
+  wasm:   WasmStockfishProcess,   // binaryPath: stockfish.js script, or null for the package
+};
+
+// Priority classes, highest first — an engine that frees up takes work from
+// the first non-empty queue
+const PRIORITIES = ["interactive", "batch", "background"];
+
+const DEFAULT_CALLER = "anonymous";
 
 const DEFAULT_MAX_QUEUE = 10;
+const DEFAULT_MAX_BATCH_QUEUE = 1000;
+const DEFAULT_MAX_BACKGROUND_QUEUE = 1000;
+const DEFAULT_RESPAWN_BASE_DELAY_MS = 1_000;
+const DEFAULT_RESPAWN_MAX_DELAY_MS  = 30_000;
+const DEFAULT_MAX_RESTARTS          = 5;
+const DEFAULT_RESTART_WINDOW_MS     = 60_000;
+const DEFAULT_CRASH_COOLDOWN_MS     = 300_000;
+const DEFAULT_DRAIN_TIMEOUT_MS      = 25_000;
+const DEFAULT_PING_INTERVAL_MS      = 30_000;
+const DEFAULT_PING_TIMEOUT_MS       = 5_000;
+const DEFAULT_HASH_MB               = 16;
+
+// Accepted ranges for configure(): pool size, and the UCI limits of the options
+const CONFIG_LIMITS = {
+  size:    [1, 64],
+  multiPV: [1, 500],
+  threads: [1, 1024],
+  hash:    [1, 33_554_432],
+};
 
 export class EnginePool {
   /**
    * @param {object} options
-   * @param {string} options.binaryPath   Path to the Stockfish binary
+   * @param {string} options.binaryPath   Path to the Stockfish binary (or WASM script)
+   * @param {"native"|"wasm"} [options.backend="native"]  Engine implementation
+   * @param {string} [options.name="default"]  Profile name, shown in logs (see EngineProfiles)
+   * @param {string} [options.evalFile]   NNUE network file (EvalFile); engine default otherwise
    * @param {number} [options.size=2]     Number of engine instances
    * @param {number} [options.multiPV=3]  Lines per analysis
    * @param {number} [options.threads=1]  Threads per engine (keep 1 on Railway Hobby)
-   * @param {number} [options.maxQueue=10] Max queued requests before overflow
+   * @param {number} [options.hash=16]    Transposition table per engine, MB
+   * @param {number} [options.maxDepth=20] Hard depth cap per engine
+   * @param {string} [options.syzygyPath] Syzygy tablebase directories used by the search
+   * @param {number} [options.maxQueue=10] Max queued interactive requests before overflow
+   * @param {number} [options.maxQueuePerCaller=maxQueue] Max queued interactive requests per caller
+   * @param {number} [options.maxBatchQueue=1000] Max queued batch evaluations
+   * @param {number} [options.maxBackgroundQueue=1000] Max queued background (job) evaluations
+   * @param {EvalCache|null} [options.cache=null] Result cache shared by all engines
+   * @param {object|null} [options.metrics=null] Prometheus telemetry sink (PoolMetrics.profile())
+   * @param {number} [options.respawnBaseDelayMs=1000]  First respawn delay after a crash
+   * @param {number} [options.respawnMaxDelayMs=30000]  Upper bound for the respawn backoff
+   * @param {number} [options.maxRestarts=5]            Crashes tolerated per restart window
+   * @param {number} [options.restartWindowMs=60000]    Sliding window for the crash-loop guard
+   * @param {number} [options.crashCooldownMs=300000]   Pause after a crash loop before respawning again
+   * @param {number} [options.drainTimeoutMs=25000]     Drain deadline on SIGTERM / SIGINT
+   * @param {number} [options.pingIntervalMs=30000]     Idle-engine health check period (0 = off)
+   * @param {number} [options.pingTimeoutMs=5000]       Wait for `readyok` before an engine counts as hung
+   * @param {number} [options.stallTimeoutMs]           Silence during a search before an engine counts as hung (0 = off)
+   * @param {number} [options.recycleAfter=0]           Evaluations before an engine is replaced (0 = never)
+   * @param {number} [options.maxRssBytes=0]            Engine memory before it is replaced (0 = no limit)
    */
-  constructor({ binaryPath, size = 2, multiPV = 3, threads = 1, maxQueue = DEFAULT_MAX_QUEUE }) {
-    this._engines   = Array.from({ length: size }, () =>
-      new StockfishProcess(binaryPath, { multiPV, threads })
-    );
+  constructor({
+    binaryPath,
+    backend            = "native",
+    name               = "default",
+    evalFile           = null,
+    size               = 2,
+    multiPV            = 3,
+    threads            = 1,
+    hash               = DEFAULT_HASH_MB,
+    maxDepth           = 20,
+    syzygyPath         = null,
+    maxQueue           = DEFAULT_MAX_QUEUE,
+    maxQueuePerCaller  = maxQueue,
+    maxBatchQueue      = DEFAULT_MAX_BATCH_QUEUE,
+    maxBackgroundQueue = DEFAULT_MAX_BACKGROUND_QUEUE,
+    cache              = null,
+    metrics            = null,
+    respawnBaseDelayMs = DEFAULT_RESPAWN_BASE_DELAY_MS,
+    respawnMaxDelayMs  = DEFAULT_RESPAWN_MAX_DELAY_MS,
+    maxRestarts        = DEFAULT_MAX_RESTARTS,
+    restartWindowMs    = DEFAULT_RESTART_WINDOW_MS,
+    crashCooldownMs    = DEFAULT_CRASH_COOLDOWN_MS,
+    drainTimeoutMs     = DEFAULT_DRAIN_TIMEOUT_MS,
+    pingIntervalMs     = DEFAULT_PING_INTERVAL_MS,
+    pingTimeoutMs      = DEFAULT_PING_TIMEOUT_MS,
+    stallTimeoutMs,
+    recycleAfter       = 0,
+    maxRssBytes        = 0,
+  }) {
+    const Engine = BACKENDS[backend];
+    if (!Engine) {
+      throw new Error(`Unknown engine backend "${backend}"`);
+    }
+    this._backend    = backend;
+    this._binaryPath = binaryPath;
+    this._evalFile   = evalFile;
+    this._tag        = name === "default" ? "[EnginePool]" : `[EnginePool:${name}]`;
+
+    // Options every engine runs with — changed at runtime by configure().
+    // Each engine records the version it was configured with.
+    this._engineOptions = { multiPV, threads: backend === "wasm" ? 1 : threads, hash };
+    this._configVersion = 0;
+    this._engineVersion = new WeakMap();   // engine → _configVersion applied
+
+    // Engines are numbered for per-engine metrics; replacements get new ids
+    this._nextEngineId = 0;
+    this._createEngine = () => {
+      const engine = new Engine(binaryPath, {
+        id:       String(this._nextEngineId++),
+        ...this._engineOptions,
+        maxDepth,
+        syzygyPath,
+        evalFile,
+        stallTimeoutMs,
+        onExit: () => this._onEngineExit(engine),
+      });
+      this._engineVersion.set(engine, this._configVersion);
+      return engine;
+    };
+    this._size         = size;
+    this._multiPV      = multiPV;
+    this._starting     = 0;   // engines added by configure() still starting
+    this._engines      = Array.from({ length: size }, this._createEngine);
+    this._cache        = cache;
+    this._metrics      = metrics;
 
     // Available engines — FIFO via shift/push.
     // At startup all engines are idle; populated after init().
     this._available = [];
 
-    // Pending caller queue — FIFO.
-    // Each slot: { fen, depth, resolve, reject }
-    this._queue    = [];
-    this._maxQueue = maxQueue;
+    // Pending callers, one round-robin queue per priority class.
+    // Each slot: { fen, depth, options, resolve, reject, detach }
+    this._queues = {
+      interactive: new FairQueue({ maxLength: maxQueue, maxPerCaller: maxQueuePerCaller }),
+      batch:       new FairQueue({ maxLength: maxBatchQueue }),
+      background:  new FairQueue({ maxLength: maxBackgroundQueue }),
+    };
+    this._cancelled = 0;   // evaluations aborted by their caller (queued or running)
+
+    // Searches queued or running, keyed by their parameters (see _flightKey).
+    // Each value: { callers, listeners, controller, promise }
+    this._inFlight  = new Map();
+    this._coalesced = 0;   // calls that joined an existing search
+
+    // Crash recovery state
+    this._respawnBaseDelayMs = respawnBaseDelayMs;
+    this._respawnMaxDelayMs  = respawnMaxDelayMs;
+    this._maxRestarts        = maxRestarts;
+    this._restartWindowMs    = restartWindowMs;
+    this._crashCooldownMs    = crashCooldownMs;
+    this._crashTimes         = [];   // timestamps of recent crashes (sliding window)
+    this._respawnTimers      = new Set();
+    this._respawning         = 0;    // replacements scheduled or starting
+    this._restarts           = 0;    // replacements for crashed or hung engines brought up
+    this._crashes            = 0;    // engines lost to crashes since startup
+    this._crashLoop          = false;
+    this._closing            = false;
+
+    // Drain state — see drain()
+    this._drainTimeoutMs = drainTimeoutMs;
+    this._draining       = false;
+    this._onDrained      = null;   // resolves a pending drain() once idle
+
+    // Watchdog and recycling — see _watchdog()
+    this._pingIntervalMs = pingIntervalMs;
+    this._pingTimeoutMs  = pingTimeoutMs;
+    this._recycleAfter   = recycleAfter;
+    this._maxRssBytes    = maxRssBytes;
+    this._watchdogTimer  = null;
+    this._watching       = false;   // a watchdog pass is running
+    this._hung           = 0;       // engines killed as unresponsive
+    this._recycled       = 0;       // engines retired by recycleAfter / maxRssBytes
   }
 
   // ── Public API ─────────────────────────────────────────────────────────────
 
   /**
-   * Initialize all engine instances in parallel and register signal handlers.
+   * Initialize all engine instances in parallel and register signal handlers
+   * (once per process, shared by every pool).
    * Must be called (and awaited) before evaluate().
    */
   async init() {
@@ -60,79 +285,495 @@ export class EnginePool {
     // All engines start idle
     this._available = [...this._engines];
 
-    console.log(`[EnginePool] ${this._engines.length} engine(s) ready.`);
+    console.log(`${this._tag} ${this._engines.length} engine(s) ready.`);
 
-    // Register shutdown signals ONCE at the pool level.
-    const shutdown = async (signal) => {
-      console.log(`[EnginePool] Received ${signal} — shutting down pool.`);
-      await this.quit();
-      process.exit(0);
-    };
+    if (this._pingIntervalMs > 0) {
+      this._watchdogTimer = setInterval(() => this._watchdog(), this._pingIntervalMs);
+      this._watchdogTimer.unref();
+    }
 
-    process.once("SIGTERM", () => shutdown("SIGTERM"));
-    process.once("SIGINT",  () => shutdown("SIGINT"));
+    livePools.add(this);
+    registerSignalHandlers();
   }
 
   /**
-   * Evaluate a FEN position using any available engine.
+   * Evaluate a FEN position using any available engine, or the cache.
    *
    * @param {string} fen
    * @param {number} depth  Capped upstream; passed through to engine.
+   *                        Ignored when options.limit is set.
+   * @param {object} [options]
+   * @param {Function} [options.onInfo]  Search progress listener (see StockfishProcess)
+   * @param {AbortSignal} [options.signal]  Cancels the evaluation wherever it is
+   * @param {number} [options.timeBudgetMs]  Return a partial result when time runs out
+   * @param {number} [options.multiPV]  Lines for this search (engine default otherwise)
+   * @param {string[]} [options.moves]  UCI moves to play from `fen` before searching
+   * @param {{ type: "movetime"|"nodes"|"mate", value: number }} [options.limit]
+   * @param {"interactive"|"batch"|"background"} [options.priority="interactive"]
+   * @param {string} [options.caller="anonymous"]  Identity for round-robin queuing (API key)
+   * @param {{ elo: number }|{ skill: number }} [options.strength]  Weakened play (see StockfishProcess)
+   * @param {number} [options.timeoutMs]  Hard timeout for the search (see StockfishProcess)
+   * @param {boolean} [options.watchStalls=true]  false for searches allowed to stay silent
    * @returns {Promise<EvalResult>}
    * @throws {Error} "Engine overloaded" if queue is full
+   * @throws {Error} "Evaluation cancelled" if the signal aborts
+   * @throws {Error} `Unknown priority "x"`
+   * @throws {Error} "Engine pool draining" once drain() has been called
    */
-  async evaluate(fen, depth) {
-    // Guard: all engines may have been discarded due to crashes
-    if (this._engines.length === 0) {
-      throw new Error("No engines available");
+  async evaluate(fen, depth, options = {}) {
+    if (this._draining) {
+      throw new Error("Engine pool draining");
+    }
+    if (options.priority && !PRIORITIES.includes(options.priority)) {
+      throw new Error(`Unknown priority "${options.priority}"`);
+    }
+    if (options.signal?.aborted) {
+      this._cancelled++;
+      throw new Error("Evaluation cancelled");
     }
 
-    // Idle engine available — use it immediately
-    if (this._available.length > 0) {
-      const engine = this._available.shift();
-      return this._runOnEngine(engine, fen, depth);
+    // Strength-limited play is randomised — never shared or cached
+    if (options.strength) {
+      const result = await this._dispatch(fen, depth, options);
+      return { ...result, cached: false };
     }
 
-    // All busy — queue or reject
-    if (this._queue.length >= this._maxQueue) {
-      throw new Error("Engine overloaded");
+    // Only depth-limited searches are comparable across requests
+    const cacheKey = this._cache && !options.limit
+      ? EvalCache.key(fen, options.moves, options.multiPV ?? this._multiPV)
+      : null;
+
+    if (cacheKey) {
+      const cached = this._cache.get(cacheKey, depth);
+      if (cached) return { ...cached, cached: true };
     }
 
-    return new Promise((resolve, reject) => {
-      this._queue.push({ fen, depth, resolve, reject });
-    });
+    const key  = this._flightKey(fen, depth, options);
+    let flight = this._inFlight.get(key);
+    if (flight) {
+      this._coalesced++;
+    } else {
+      flight = this._startFlight(key, fen, depth, options, cacheKey);
+    }
+
+    const result = await this._joinFlight(key, flight, options);
+    return { ...result, cached: false };
   }
 
   /**
    * Return pool status for health / monitoring endpoints.
    *
-   * @returns {{ totalEngines, busyEngines, queueLength }}
+   * queueLength / batchQueueLength predate the background class and are kept
+   * for existing monitoring; queues has every class.
+   *
+   * @returns {{ backend, totalEngines, targetEngines, busyEngines, queueLength,
+   *             batchQueueLength, queues, cancelled, degraded, restarts,
+   *             crashes, hung, recycled, respawning, crashLoop, draining,
+   *             inFlight, coalesced, cache }}
    */
   getStatus() {
     return {
-      totalEngines: this._engines.length,
-      busyEngines:  this._engines.length - this._available.length,
-      queueLength:  this._queue.length,
+      backend:          this._backend,
+      totalEngines:     this._engines.length,
+      targetEngines:    this._size,
+      busyEngines:      this._engines.length - this._available.length,
+      queueLength:      this._queues.interactive.length,
+      batchQueueLength: this._queues.batch.length,
+      queues:           Object.fromEntries(
+        PRIORITIES.map((priority) => [priority, this._queues[priority].getStatus()])
+      ),
+      cancelled:        this._cancelled,
+      degraded:         this._engines.length < this._size,
+      restarts:         this._restarts,
+      crashes:          this._crashes,
+      hung:             this._hung,
+      recycled:         this._recycled,
+      respawning:       this._respawning,
+      crashLoop:        this._crashLoop,
+      draining:         this._draining,
+      inFlight:         this._inFlight.size,
+      coalesced:        this._coalesced,
+      cache:            this._cache?.getStatus() ?? null,
     };
   }
 
+  /**
+   * Per-engine status for monitoring, engines currently in the pool only.
+   *
+   * @returns {Array<{ id, ready, busy, stopping, queued, evaluations }>}
+   */
+  getEngineStatus() {
+    return this._engines.map((engine) => engine.getStatus());
+  }
+
+  /**
+   * Effective configuration. After configure() some engines may still be
+   * on their way: see pending.
+   *
+   * @returns {{ backend, binaryPath, evalFile, size, engines, multiPV, threads,
+   *             hash, pending: { starting, retiring, reconfiguring } }}
+   */
+  getConfig() {
+    return {
+      backend:    this._backend,
+      binaryPath: this._binaryPath,
+      evalFile:   this._evalFile,
+      size:       this._size,
+      engines:    this._engines.length,
+      ...this._engineOptions,
+      pending:    {
+        starting:      this._starting + this._respawning,
+        retiring:      Math.max(0, this._engines.length - this._size),
+        reconfiguring: this._engines.filter(
+          (engine) => this._engineVersion.get(engine) !== this._configVersion
+        ).length,
+      },
+    };
+  }
+
+  /**
+   * Change the pool size and engine options at runtime. Every field is
+   * validated before anything is applied. Resolves once added engines have
+   * started and idle engines carry the new options; busy engines follow as
+   * their searches finish.
+   *
+   * @param {object} changes
+   * @param {number} [changes.size]     Engines in the pool
+   * @param {number} [changes.multiPV]  Default lines per search
+   * @param {number} [changes.threads]  Threads per engine
+   * @param {number} [changes.hash]     Transposition table per engine, MB
+   * @throws {Error} "Invalid <field>"
+   */
+  async configure({ size, multiPV, threads, hash } = {}) {
+    const changes = Object.entries({ size, multiPV, threads, hash })
+      .filter(([, value]) => value !== undefined);
+    for (const [field, value] of changes) {
+      const [min, max] = CONFIG_LIMITS[field];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`Invalid ${field}`);
+      }
+    }
+    if (this._backend === "wasm" && threads !== undefined && threads !== 1) {
+      throw new Error("Invalid threads: wasm engines are single-threaded");
+    }
+    if (changes.length === 0) return;
+
+    console.log(
+      `${this._tag} Reconfiguring: ${changes.map(([field, value]) => `${field}=${value}`).join(", ")}.`
+    );
+
+    const options = Object.fromEntries(changes.filter(([field]) => field !== "size"));
+    if (Object.keys(options).length > 0) {
+      this._engineOptions = { ...this._engineOptions, ...options };
+      this._multiPV       = this._engineOptions.multiPV;
+      this._configVersion++;
+    }
+    if (size !== undefined) this._size = size;
+
+    // Shrink: idle engines go now, busy ones are retired by _release
+    while (this._engines.length > this._size && this._available.length > 0) {
+      const engine = this._available.pop();
+      console.log(`${this._tag} Retiring idle engine ${engine.getStatus().id} (pool size ${this._size}).`);
+      this._retire(engine);
+    }
+
+    // Idle engines take new options now — busy ones (including one still
+    // winding down a stopped search) on release; added engines start with them
+    const stale = this._available.filter((engine) =>
+      this._engineVersion.get(engine) !== this._configVersion && !engine.getStatus().busy
+    );
+    this._available = this._available.filter((engine) => !stale.includes(engine));
+    const work = stale.map((engine) => this._reconfigure(engine));
+
+    // Grow
+    while (this._needsEngine()) work.push(this._addEngine());
+
+    await Promise.all(work);
+    this._checkDrained();
+  }
+
+  /**
+   * Stop accepting evaluations and wait until every queued and running one
+   * has finished. New evaluate() calls reject with "Engine pool draining".
+   * Does not stop the engines — call quit() afterwards.
+   *
+   * @param {number} timeoutMs  Deadline for the remaining work
+   * @returns {Promise<boolean>} true if all work finished before the deadline
+   */
+  drain(timeoutMs) {
+    this._draining = true;
+    if (this._pending() === 0) return Promise.resolve(true);
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this._onDrained = null;
+        resolve(false);
+      }, timeoutMs);
+
+      this._onDrained = () => {
+        clearTimeout(timer);
+        this._onDrained = null;
+        resolve(true);
+      };
+    });
+  }
+
   /**
    * Reject all queued requests and shut down every engine cleanly.
    */
   async quit() {
-    // Drain queue — callers waiting must receive a rejection
-    for (const { reject } of this._queue) {
-      reject(new Error("Engine pool shutting down"));
-    }
-    this._queue     = [];
+    // No replacements may start once shutdown has begun
+    this._closing = true;
+    clearInterval(this._watchdogTimer);
+    for (const timer of this._respawnTimers) clearTimeout(timer);
+    this._respawnTimers.clear();
+    this._respawning = 0;
+
+    // Drain queues — callers waiting must receive a rejection
+    this._rejectQueued(new Error("Engine pool shutting down"));
     this._available = [];
 
+    livePools.delete(this);
     await Promise.all(this._engines.map((e) => e.quit()));
-    console.log("[EnginePool] All engines stopped.");
+    console.log(`${this._tag} All engines stopped.`);
   }
 
   // ── Internal ───────────────────────────────────────────────────────────────
 
+  /**
+   * Fewer engines running or on their way than the pool size.
+   */
+  _needsEngine() {
+    return this._engines.length + this._respawning + this._starting < this._size;
+  }
+
+  /**
+   * Apply the current engine options to an engine out of rotation, then
+   * release it (or discard it if it stopped answering).
+   *
+   * @param {StockfishProcess} engine  Not in _available
+   */
+  async _reconfigure(engine) {
+    const version = this._configVersion;
+    try {
+      await engine.configure(this._engineOptions);
+    } catch (err) {
+      this._discardOrRelease(engine, err);
+      this._checkDrained();
+      return;
+    }
+    this._engineVersion.set(engine, version);
+    this._release(engine);
+    this._checkDrained();
+  }
+
+  /**
+   * Start an additional engine for a larger pool. A failed start is handled
+   * like a crash, so the pool keeps trying to reach its size.
+   */
+  async _addEngine() {
+    this._starting++;
+    const engine = this._createEngine();
+    try {
+      await engine.init();
+    } catch (err) {
+      this._starting--;
+      if (this._closing) return;
+      this._crashes++;
+      console.error(`${this._tag} New engine failed to start (${err.message}).`);
+      this._scheduleRespawn();
+      this._rejectQueueIfEmpty();
+      return;
+    }
+    this._starting--;
+
+    if (this._closing) {
+      await engine.quit();
+      return;
+    }
+
+    this._engines.push(engine);
+    console.log(
+      `${this._tag} Engine added. Pool capacity: ${this._engines.length}/${this._size} engine(s).`
+    );
+    this._release(engine);
+  }
+
+  /**
+   * Remove a healthy engine from the pool and stop it.
+   *
+   * @param {StockfishProcess} engine  Not in _available
+   */
+  _retire(engine) {
+    this._engines = this._engines.filter((e) => e !== engine);
+    engine.quit().catch((err) => {
+      console.error(`${this._tag} Retired engine did not quit cleanly (${err.message}).`);
+    });
+  }
+
+  /**
+   * Evaluations queued or running on an engine.
+   */
+  _pending() {
+    const queued = PRIORITIES.reduce((n, priority) => n + this._queues[priority].length, 0);
+    return queued + this._engines.length - this._available.length;
+  }
+
+  /**
+   * Settle a pending drain() once the last evaluation has finished. Called
+   * wherever work leaves the pool.
+   */
+  _checkDrained() {
+    if (this._onDrained && this._pending() === 0) this._onDrained();
+  }
+
+  /**
+   * Identity of a search for coalescing. Two calls with the same key would
+   * send the engine exactly the same commands.
+   */
+  _flightKey(fen, depth, options) {
+    const limit = options.limit ?? { type: "depth", value: depth };
+    return [
+      EvalCache.key(fen, options.moves, options.multiPV ?? this._multiPV),
+      `${limit.type} ${limit.value}`,
+      options.timeBudgetMs ?? "",
+      options.timeoutMs ?? "",
+      options.watchStalls ?? true,
+      options.priority ?? "interactive",
+    ].join("|");
+  }
+
+  /**
+   * Dispatch a search shared by every caller that joins it. The search has
+   * its own AbortController so no single caller's signal can stop it, and
+   * waits in the queue under the caller that started it.
+   */
+  _startFlight(key, fen, depth, options, cacheKey) {
+    const flight = {
+      callers:    0,
+      listeners:  new Set(),
+      controller: new AbortController(),
+      promise:    null,
+    };
+
+    flight.promise = (async () => {
+      try {
+        const result = await this._dispatch(fen, depth, {
+          ...options,
+          // Pinned so a configure() while queued cannot change what the cache key describes
+          multiPV: options.multiPV ?? this._multiPV,
+          signal: flight.controller.signal,
+          // Callers may start or stop listening at any point of the search
+          onInfo: (info) => {
+            for (const listener of flight.listeners) listener(info);
+          },
+          infoWanted: () => flight.listeners.size > 0,
+        });
+
+        // A time-budgeted search may have stopped short of the requested depth
+        if (cacheKey && !result.partial && result.depthReached) {
+          this._cache.set(cacheKey, result.depthReached, result);
+        }
+        return result;
+      } finally {
+        if (this._inFlight.get(key) === flight) this._inFlight.delete(key);
+      }
+    })();
+
+    this._inFlight.set(key, flight);
+    return flight;
+  }
+
+  /**
+   * Wait on a shared search as one of its callers. Aborting the caller's
+   * signal rejects only this caller; the search itself is cancelled when the
+   * last caller leaves.
+   */
+  _joinFlight(key, flight, options) {
+    const { signal, onInfo } = options;
+    flight.callers++;
+    if (onInfo) flight.listeners.add(onInfo);
+
+    return new Promise((resolve, reject) => {
+      let left = false;
+      const leave = () => {
+        if (left) return false;
+        left = true;
+        flight.callers--;
+        if (onInfo) flight.listeners.delete(onInfo);
+        signal?.removeEventListener("abort", onAbort);
+        return true;
+      };
+
+      const onAbort = () => {
+        if (!leave()) return;
+        if (flight.callers === 0) {
+          // Last caller gone — new callers must not join a search being stopped.
+          // The search's own cancellation is counted by the queue / engine path.
+          if (this._inFlight.get(key) === flight) this._inFlight.delete(key);
+          flight.controller.abort();
+        } else {
+          this._cancelled++;
+        }
+        reject(new Error("Evaluation cancelled"));
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      flight.promise.then(
+        (result) => { if (leave()) resolve(result); },
+        (err)    => { if (leave()) reject(err); }
+      );
+    });
+  }
+
+  /**
+   * Hand an evaluation to an idle engine, or queue it until one frees up.
+   */
+  _dispatch(fen, depth, options) {
+    // Guard: all engines may have been discarded due to crashes and the
+    // crash-loop guard has given up on replacing them
+    if (this._engines.length === 0 && this._respawning === 0 && this._starting === 0) {
+      throw new Error("No engines available");
+    }
+
+    const priority = options.priority ?? "interactive";
+
+    // Idle engine available — use it immediately
+    if (this._available.length > 0) {
+      const engine = this._available.shift();
+      this._metrics?.queueWait(priority, 0);
+      return this._runOnEngine(engine, fen, depth, options);
+    }
+
+    // All busy — queue or reject
+    const queue  = this._queues[priority];
+    const caller = options.caller ?? DEFAULT_CALLER;
+
+    return new Promise((resolve, reject) => {
+      const entry = { fen, depth, options, resolve, reject, detach: null, queuedAt: Date.now() };
+
+      // Throws "Engine overloaded" when the class or the caller's share is full
+      try {
+        queue.push(caller, entry);
+      } catch (err) {
+        this._metrics?.overload(priority);
+        throw err;
+      }
+
+      // Aborted while queued — drop the slot so it never reaches an engine
+      if (options.signal) {
+        const onAbort = () => {
+          if (!queue.remove(caller, entry)) return;
+          this._cancelled++;
+          reject(new Error("Evaluation cancelled"));
+          this._checkDrained();
+        };
+        options.signal.addEventListener("abort", onAbort, { once: true });
+        entry.detach = () => options.signal.removeEventListener("abort", onAbort);
+      }
+    });
+  }
+
   /**
    * Run an evaluation on a specific (already-acquired) engine instance.
    * Always releases the engine back to the pool on completion or error.
@@ -145,26 +786,37 @@ export class EnginePool {
    * @param {StockfishProcess} engine
    * @param {string} fen
    * @param {number} depth
+   * @param {object} [options]
    * @returns {Promise<EvalResult>}
    */
-  _runOnEngine(engine, fen, depth) {
+  _runOnEngine(engine, fen, depth, options = {}) {
+    const priority = options.priority ?? "interactive";
+    const started  = Date.now();
+
     let p;
     try {
-      p = engine.evaluate(fen, depth);
+      p = engine.evaluate(fen, depth, options);
     } catch (err) {
       // Sync throw — engine likely died. Discard it and release the slot
       // so the pool can continue serving other callers.
+      this._metrics?.search(priority, 0, null, err);
       this._discardOrRelease(engine, err);
+      this._checkDrained();
       return Promise.reject(err);
     }
 
     return p.then(
       (result) => {
+        this._metrics?.search(priority, Date.now() - started, result);
         this._release(engine);
+        this._checkDrained();
         return result;
       },
       (err) => {
+        this._metrics?.search(priority, Date.now() - started, null, err);
+        if (err.message === "Evaluation cancelled") this._cancelled++;
         this._discardOrRelease(engine, err);
+        this._checkDrained();
         throw err;
       }
     );
@@ -173,53 +825,318 @@ export class EnginePool {
   /**
    * Decide whether a post-eval engine is still usable.
    *
-   * If the engine is dead (not ready), remove it from the pool permanently
-   * and reject any waiting callers with a clear error rather than silently
-   * handing them a broken engine.
-   *
-   * TODO Phase 2: spawn a replacement engine here and push it to _available.
+   * If the engine is dead (not ready), remove it from the pool and schedule
+   * a replacement. Queued callers keep waiting for the replacement; they are
+   * only rejected once the crash-loop guard has given up and no engine is left.
+   * An engine the watchdog killed as unresponsive is not a crash: it is
+   * replaced at once and does not count towards the crash-loop guard.
    *
    * @param {StockfishProcess} engine
    * @param {Error}            err     The error that caused the release
    */
   _discardOrRelease(engine, err) {
+    // Already discarded by _onEngineExit — nothing left to do
+    if (!this._engines.includes(engine)) return;
+
     if (!engine._ready) {
       // Engine process has exited — remove it from both the master list and
       // the available pool (defensive: it shouldn't be in _available while
       // busy, but filter anyway to prevent a broken reference leaking back).
       this._engines   = this._engines.filter((e) => e !== engine);
       this._available = this._available.filter((e) => e !== engine);
+      const hung = err.message === "Engine unresponsive";
+      if (hung) this._hung++;
+      else this._crashes++;
       console.error(
-        `[EnginePool] Engine discarded after crash (${err.message}). ` +
+        `${this._tag} Engine discarded after ${hung ? "hang" : "crash"} (${err.message}). ` +
         `Pool capacity: ${this._engines.length} engine(s).`
       );
-      // Drain one queued caller with the crash error so it's not stuck.
-      if (this._queue.length > 0) {
-        const { reject } = this._queue.shift();
-        reject(new Error("Engine crashed — no replacement available yet"));
-      }
+      if (hung) this._replace();
+      else this._scheduleRespawn();
       return;
     }
     // Engine is still alive — return it normally.
     this._release(engine);
   }
 
+  /**
+   * Engine process exited on its own. Busy engines are discarded through the
+   * rejected evaluation (_discardOrRelease); idle ones are caught here so a
+   * dead engine never sits in _available waiting for the next caller.
+   *
+   * @param {StockfishProcess} engine
+   */
+  _onEngineExit(engine) {
+    if (this._closing || !this._available.includes(engine)) return;
+    // Killed as unresponsive after a stopped search, or died on its own
+    this._discardOrRelease(engine, new Error(engine._failure ?? "Engine process exited while idle"));
+  }
+
+  /**
+   * Health-check idle engines one at a time. Each is taken out of rotation
+   * while it is pinged (callers queue meanwhile) and then released, recycled
+   * for memory, or — if it did not answer — discarded and replaced.
+   */
+  async _watchdog() {
+    if (this._watching || this._closing) return;
+    this._watching = true;
+
+    try {
+      for (const engine of [...this._available]) {
+        // Still winding down a stopped search — its own stop grace covers it
+        if (engine.getStatus().busy) continue;
+
+        const idx = this._available.indexOf(engine);
+        if (idx === -1) continue;   // handed out since the pass started
+        this._available.splice(idx, 1);
+
+        try {
+          await engine.ping(this._pingTimeoutMs);
+        } catch (err) {
+          this._discardOrRelease(engine, err);
+          continue;
+        }
+
+        const rss = this._maxRssBytes > 0 ? await engine.getRssBytes() : null;
+        if (rss !== null && rss > this._maxRssBytes) {
+          this._recycle(engine, `RSS ${Math.round(rss / 1_048_576)} MB`);
+        } else {
+          this._release(engine);
+        }
+      }
+    } finally {
+      this._watching = false;
+      this._checkDrained();
+    }
+  }
+
+  /**
+   * Retire a healthy engine and start a fresh one straight away. Unlike a
+   * crash this has no backoff and does not count towards the crash-loop guard.
+   *
+   * @param {StockfishProcess} engine  Not in _available
+   * @param {string}           reason  For the log
+   */
+  _recycle(engine, reason) {
+    this._recycled++;
+    console.log(`${this._tag} Recycling engine ${engine.getStatus().id} (${reason}).`);
+    this._retire(engine);
+    this._replace({ restart: false });
+  }
+
+  /**
+   * Start a replacement engine straight away, without backoff and outside
+   * the crash-loop guard.
+   *
+   * @param {object}  [options]
+   * @param {boolean} [options.restart=true]  Count it in restarts (false for recycling)
+   */
+  _replace({ restart = true } = {}) {
+    if (this._closing || !this._needsEngine()) return;
+    this._respawning++;
+    this._respawn({ restart });
+  }
+
+  /**
+   * Record a crash and schedule a replacement engine with exponential backoff.
+   * Trips the crash-loop guard when too many crashes land inside the window.
+   */
+  _scheduleRespawn() {
+    if (this._closing) return;
+
+    const now = Date.now();
+    this._crashTimes = this._crashTimes.filter((t) => now - t < this._restartWindowMs);
+    this._crashTimes.push(now);
+
+    if (this._crashTimes.length > this._maxRestarts) {
+      if (!this._crashLoop) {
+        console.error(
+          `${this._tag} Crash loop detected (${this._crashTimes.length} crashes in ` +
+          `${this._restartWindowMs}ms) — respawning paused for ${this._crashCooldownMs}ms.`
+        );
+        this._crashLoop = true;
+        const timer = setTimeout(() => {
+          this._respawnTimers.delete(timer);
+          this._endCrashLoop();
+        }, this._crashCooldownMs);
+        this._respawnTimers.add(timer);
+      }
+      this._rejectQueueIfEmpty();
+      return;
+    }
+
+    // Pool shrunk below what is left — no replacement needed
+    if (!this._needsEngine()) return;
+
+    const attempt = this._crashTimes.length - 1;
+    const delay   = Math.min(this._respawnBaseDelayMs * 2 ** attempt, this._respawnMaxDelayMs);
+    this._respawning++;
+
+    console.warn(`${this._tag} Respawning engine in ${delay}ms.`);
+
+    const timer = setTimeout(() => {
+      this._respawnTimers.delete(timer);
+      this._respawn();
+    }, delay);
+    this._respawnTimers.add(timer);
+  }
+
+  /**
+   * Cool-down after a crash loop is over: forget the crashes and bring the
+   * pool back to its size. Another burst of crashes trips the guard again.
+   */
+  _endCrashLoop() {
+    this._crashLoop  = false;
+    this._crashTimes = [];
+    console.warn(`${this._tag} Crash-loop cool-down over — respawning resumed.`);
+    while (!this._closing && this._needsEngine()) {
+      this._respawning++;
+      this._respawn();
+    }
+  }
+
+  /**
+   * Start a replacement engine and hand it to the pool (or straight to the
+   * oldest queued caller). A failed start counts as another crash.
+   *
+   * @param {object}  [options]
+   * @param {boolean} [options.restart=true]  Count it in restarts (false for recycling)
+   */
+  async _respawn({ restart = true } = {}) {
+    const engine = this._createEngine();
+    try {
+      await engine.init();
+    } catch (err) {
+      if (this._closing) return;
+      this._respawning--;
+      this._crashes++;
+      console.error(`${this._tag} Replacement engine failed to start (${err.message}).`);
+      this._scheduleRespawn();
+      this._rejectQueueIfEmpty();
+      return;
+    }
+
+    // Pool shut down while the replacement was starting
+    if (this._closing) {
+      await engine.quit();
+      return;
+    }
+
+    this._respawning--;
+    if (restart) this._restarts++;
+    this._engines.push(engine);
+    console.log(
+      `${this._tag} Replacement engine ready. ` +
+      `Pool capacity: ${this._engines.length}/${this._size} engine(s).`
+    );
+    this._release(engine);
+  }
+
+  /**
+   * Reject every queued caller when no engine is left and none is coming back.
+   */
+  _rejectQueueIfEmpty() {
+    if (this._engines.length > 0 || this._respawning > 0 || this._starting > 0) return;
+    this._rejectQueued(new Error("No engines available"));
+  }
+
+  /**
+   * Reject and clear every queued caller in every priority class.
+   *
+   * @param {Error} err
+   */
+  _rejectQueued(err) {
+    for (const priority of PRIORITIES) {
+      for (const { reject, detach } of this._queues[priority].drain()) {
+        detach?.();
+        reject(err);
+      }
+    }
+    this._checkDrained();
+  }
+
   /**
    * Return a healthy engine to the pool.
-   * If a caller is waiting in the FIFO queue, dispatch directly — the engine
-   * never touches _available, eliminating any acquisition race.
+   * If a caller is waiting in a queue, dispatch directly — the engine never
+   * touches _available, eliminating any acquisition race.
    *
    * @param {StockfishProcess} engine
    */
   _release(engine) {
-    if (this._queue.length > 0) {
-      // Dequeue oldest waiting caller — FIFO
-      const { fen, depth, resolve, reject } = this._queue.shift();
+    // Pool shrunk while the engine was busy
+    if (this._engines.length > this._size) {
+      console.log(`${this._tag} Retiring engine ${engine.getStatus().id} (pool size ${this._size}).`);
+      this._retire(engine);
+      return;
+    }
+
+    // Options changed while the engine was busy
+    if (this._engineVersion.get(engine) !== this._configVersion && !engine.getStatus().busy) {
+      this._reconfigure(engine);
+      return;
+    }
+
+    if (this._recycleAfter > 0 && engine.getStatus().evaluations >= this._recycleAfter) {
+      this._recycle(engine, `${this._recycleAfter} evaluations`);
+      return;
+    }
+
+    // Highest non-empty priority class; round-robin across its callers
+    const queue = PRIORITIES.map((priority) => this._queues[priority]).find((q) => q.length > 0);
+    if (queue) {
+      const { fen, depth, options, resolve, reject, detach, queuedAt } = queue.shift();
+      this._metrics?.queueWait(options.priority ?? "interactive", Date.now() - queuedAt);
+      // The engine watches the signal from here on
+      detach?.();
       // Hand engine directly to queued work; never enters _available
-      this._runOnEngine(engine, fen, depth).then(resolve).catch(reject);
+      this._runOnEngine(engine, fen, depth, options).then(resolve).catch(reject);
     } else {
       // No pending work — return engine to idle pool
       this._available.push(engine);
     }
   }
 }
+
+// ── Signal handling ───────────────────────────────────────────────────────────
+
+// Initialised pools that have not quit — a signal drains all of them
+const livePools = new Set();
+let signalsRegistered = false;
+
+/**
+ * Register SIGTERM / SIGINT ONCE per process. A signal drains every live pool
+ * in parallel (each for its own drainTimeoutMs), quits them and exits; a
+ * second signal while draining exits at once.
+ */
+function registerSignalHandlers() {
+  if (signalsRegistered) return;
+  signalsRegistered = true;
+
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      console.warn(`[EnginePool] Received ${signal} while draining — exiting now.`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+
+    const pools = [...livePools];
+    const timeoutMs = Math.max(0, ...pools.map((pool) => pool._drainTimeoutMs));
+    console.log(`[EnginePool] Received ${signal} — draining (up to ${timeoutMs} ms).`);
+
+    const drained = await Promise.all(pools.map((pool) => pool.drain(pool._drainTimeoutMs)));
+    if (drained.every(Boolean)) {
+      console.log("[EnginePool] Drained — shutting down.");
+    } else {
+      const left = pools.reduce((n, pool) => n + pool._pending(), 0);
+      console.warn(
+        `[EnginePool] Drain deadline passed with ${left} evaluation(s) left — shutting down.`
+      );
+    }
+    await Promise.all(pools.map((pool) => pool.quit()));
+    process.exit(0);
+  };
+
+  process.once("SIGTERM", () => shutdown("SIGTERM"));
+  process.once("SIGINT",  () => shutdown("SIGINT"));
+}
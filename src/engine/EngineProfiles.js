@@ -0,0 +1,136 @@
+/**
+ * EngineProfiles
+ *
+ * Named engine configurations, each served by its own EnginePool — e.g. a
+ * "fast" profile for interactive play next to a "deep" one for analysis.
+ * Callers pick a profile per request; profiles never share engines, queues
+ * or cached results.
+ *
+ * File format (PROFILES_FILE):
+ *   {
+ *     "default": "fast",
+ *     "profiles": {
+ *       "fast": { "size": 2, "threads": 1, "hash": 16, "multiPV": 1 },
+ *       "deep": { "size": 1, "threads": 4, "hash": 512, "multiPV": 5,
+ *                 "binaryPath": "/opt/stockfish/sf-dev",
+ *                 "evalFile": "/opt/stockfish/nn-big.nnue" }
+ *     }
+ *   }
+ *   Fields a profile leaves out come from the service defaults (the ENGINE_*
+ *   variables and STOCKFISH_PATH). "default" names the profile used when a request names none;
+ *   it may be omitted when there is only one profile.
+ *
+ * Without a file there is a single profile, "default", built from the
+ * service defaults.
+ *
+ * Usage:
+ *   const profiles = new EngineProfiles({ path, defaults, createPool });
+ *   await profiles.init();
+ *   const pool = profiles.get(req.body.profile);   // null if unknown
+ */
+
+import { readFileSync } from "fs";
+
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// Profile fields and their validators
+const FIELDS = {
+  backend:    (v) => v === "native" || v === "wasm",
+  binaryPath: (v) => typeof v === "string" && v.length > 0,
+  evalFile:   (v) => typeof v === "string" && v.length > 0,
+  size:       (v) => Number.isInteger(v) && v >= 1,
+  multiPV:    (v) => Number.isInteger(v) && v >= 1,
+  threads:    (v) => Number.isInteger(v) && v >= 1,
+  hash:       (v) => Number.isInteger(v) && v >= 1,
+};
+
+export class EngineProfiles {
+  /**
+   * Read and validate the profile file and create one pool per profile.
+   *
+   * @param {object}      options
+   * @param {string|null} [options.path=null]  Profile file; null → one "default" profile
+   * @param {object}      options.defaults     Values for fields a profile leaves out
+   * @param {Function}    options.createPool   (name, settings) → EnginePool
+   * @throws {Error} on an unreadable file or an invalid profile
+   */
+  constructor({ path = null, defaults, createPool }) {
+    const { defaultName, profiles } = path
+      ? parseFile(readFileSync(path, "utf8"))
+      : { defaultName: "default", profiles: { default: {} } };
+
+    this._defaultName = defaultName;
+    this._pools       = new Map();   // name → EnginePool
+    for (const [name, profile] of Object.entries(profiles)) {
+      this._pools.set(name, createPool(name, { ...defaults, ...profile }));
+    }
+
+    const names = this.names.map((name) =>
+      (this._pools.size > 1 && name === defaultName ? `${name} (default)` : name)
+    );
+    console.log(`[EngineProfiles] ${this._pools.size} profile(s): ${names.join(", ")}.`);
+  }
+
+  /**
+   * Start every pool.
+   */
+  async init() {
+    await Promise.all([...this._pools.values()].map((pool) => pool.init()));
+  }
+
+  get defaultName() {
+    return this._defaultName;
+  }
+
+  get names() {
+    return [...this._pools.keys()];
+  }
+
+  /**
+   * @param {string} [name]  Profile name; the default profile when omitted
+   * @returns {EnginePool|null} null for an unknown profile
+   */
+  get(name = this._defaultName) {
+    return this._pools.get(name) ?? null;
+  }
+
+  /**
+   * @returns {Array<[string, EnginePool]>}
+   */
+  entries() {
+    return [...this._pools.entries()];
+  }
+}
+
+/**
+ * Validate the profile file's JSON.
+ *
+ * @returns {{ defaultName: string, profiles: object }}
+ */
+function parseFile(text) {
+  const { default: defaultName, profiles } = JSON.parse(text);
+
+  if (!profiles || typeof profiles !== "object" || Object.keys(profiles).length === 0) {
+    throw new Error("Profile file defines no profiles");
+  }
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid profile name "${name}"`);
+    }
+    for (const [field, value] of Object.entries(profile)) {
+      const valid = FIELDS[field];
+      if (!valid) throw new Error(`Unknown field "${field}" in profile "${name}"`);
+      if (!valid(value)) throw new Error(`Invalid ${field} in profile "${name}"`);
+    }
+  }
+
+  const names = Object.keys(profiles);
+  if (defaultName === undefined) {
+    if (names.length > 1) throw new Error('Several profiles need a "default"');
+    return { defaultName: names[0], profiles };
+  }
+  if (!names.includes(defaultName)) {
+    throw new Error(`Default profile "${defaultName}" is not defined`);
+  }
+  return { defaultName, profiles };
+}
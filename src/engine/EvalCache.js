@@ -0,0 +1,113 @@
+/**
+ * EvalCache
+ *
+ * LRU cache of depth-limited evaluation results.
+ *
+ * Key: normalized FEN (board, side to move, castling, en passant — move
+ * counters ignored) + move history + MultiPV. Each key keeps only its deepest
+ * result; a result searched to depth N answers any request for depth ≤ N.
+ *
+ * Eviction:
+ *   - Least recently used entry once maxEntries is reached
+ *   - Entries older than ttlMs are dropped on access
+ *
+ * Usage:
+ *   const cache = new EvalCache({ maxEntries: 5000, ttlMs: 3_600_000 });
+ *   const key = EvalCache.key(fen, moves, multiPV);
+ *   cache.get(key, depth) ?? cache.set(key, depth, await search());
+ */
+
+const DEFAULT_MAX_ENTRIES = 5000;
+const DEFAULT_TTL_MS      = 60 * 60 * 1000;
+
+export class EvalCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries=5000]  Entries kept before LRU eviction
+   * @param {number} [options.ttlMs=3600000]    Entry lifetime
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, ttlMs = DEFAULT_TTL_MS } = {}) {
+    this._maxEntries = maxEntries;
+    this._ttlMs      = ttlMs;
+
+    // Map iteration order is insertion order — re-inserting on access keeps
+    // the least recently used entry first.
+    // Each value: { depth, result, storedAt }
+    this._entries = new Map();
+
+    this._hits   = 0;
+    this._misses = 0;
+  }
+
+  /**
+   * Build a cache key. Move counters are dropped so the same position reached
+   * at a different move number shares an entry.
+   *
+   * @param {string}   fen
+   * @param {string[]} [moves]    UCI move history played from fen
+   * @param {number}   multiPV
+   * @returns {string}
+   */
+  static key(fen, moves = [], multiPV) {
+    const position = fen.trim().split(/\s+/).slice(0, 4).join(" ");
+    return `${position}|${moves.join(" ")}|${multiPV}`;
+  }
+
+  /**
+   * Return a cached result searched to at least `depth`, or null.
+   *
+   * @param {string} key
+   * @param {number} depth
+   */
+  get(key, depth) {
+    const entry = this._entries.get(key);
+
+    if (entry && Date.now() - entry.storedAt > this._ttlMs) {
+      this._entries.delete(key);
+    } else if (entry && entry.depth >= depth) {
+      // Refresh recency
+      this._entries.delete(key);
+      this._entries.set(key, entry);
+      this._hits++;
+      return entry.result;
+    }
+
+    this._misses++;
+    return null;
+  }
+
+  /**
+   * Store a result unless a deeper one is already cached.
+   *
+   * @param {string} key
+   * @param {number} depth   Depth the result was searched to
+   * @param {object} result
+   */
+  set(key, depth, result) {
+    const existing = this._entries.get(key);
+    if (existing && existing.depth > depth && Date.now() - existing.storedAt <= this._ttlMs) {
+      return;
+    }
+
+    this._entries.delete(key);
+    this._entries.set(key, { depth, result, storedAt: Date.now() });
+
+    while (this._entries.size > this._maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @returns {{ entries, maxEntries, hits, misses, hitRate }}
+   */
+  getStatus() {
+    const lookups = this._hits + this._misses;
+    return {
+      entries:    this._entries.size,
+      maxEntries: this._maxEntries,
+      hits:       this._hits,
+      misses:     this._misses,
+      hitRate:    lookups ? Math.round((this._hits / lookups) * 1000) / 1000 : null,
+    };
+  }
+}
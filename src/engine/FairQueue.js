@@ -0,0 +1,115 @@
+/**
+ * FairQueue
+ *
+ * Waiting list that serves callers round-robin instead of strictly FIFO.
+ * Each caller (API key) has its own FIFO; shift() takes the oldest entry of
+ * the caller that has waited longest for a turn, then moves that caller to
+ * the back. A burst from one caller is interleaved with everyone else's
+ * requests rather than served ahead of them.
+ *
+ * Limits:
+ *   - maxLength entries across all callers
+ *   - maxPerCaller entries for any single caller, so one caller cannot take
+ *     every slot
+ *   push() throws "Engine overloaded" when either is reached.
+ *
+ * Usage:
+ *   const queue = new FairQueue({ maxLength: 10, maxPerCaller: 5 });
+ *   queue.push("key-a", entry);
+ *   const next = queue.shift();   // entry, or undefined when empty
+ */
+
+export class FairQueue {
+  /**
+   * @param {object} options
+   * @param {number} options.maxLength                 Entries across all callers
+   * @param {number} [options.maxPerCaller=maxLength]  Entries per caller
+   */
+  constructor({ maxLength, maxPerCaller = maxLength }) {
+    this._maxLength    = maxLength;
+    this._maxPerCaller = maxPerCaller;
+
+    // caller → FIFO of entries. Map iteration order is the round-robin
+    // order — a caller that has been served is re-inserted at the end.
+    this._byCaller = new Map();
+    this._length   = 0;
+  }
+
+  get length() {
+    return this._length;
+  }
+
+  /**
+   * @param {string} caller
+   * @param {object} entry
+   * @throws {Error} "Engine overloaded" if the queue or the caller's share is full
+   */
+  push(caller, entry) {
+    const entries = this._byCaller.get(caller);
+    if (this._length >= this._maxLength || (entries?.length ?? 0) >= this._maxPerCaller) {
+      throw new Error("Engine overloaded");
+    }
+
+    if (entries) entries.push(entry);
+    else this._byCaller.set(caller, [entry]);
+    this._length++;
+  }
+
+  /**
+   * Remove and return the next entry in round-robin order.
+   *
+   * @returns {object|undefined}
+   */
+  shift() {
+    for (const [caller, entries] of this._byCaller) {
+      const entry = entries.shift();
+      this._byCaller.delete(caller);
+      if (entries.length > 0) this._byCaller.set(caller, entries);
+      this._length--;
+      return entry;
+    }
+    return undefined;
+  }
+
+  /**
+   * Remove a specific entry (e.g. its caller cancelled).
+   *
+   * @param {string} caller
+   * @param {object} entry
+   * @returns {boolean} false if the entry was not queued
+   */
+  remove(caller, entry) {
+    const entries = this._byCaller.get(caller);
+    const idx = entries ? entries.indexOf(entry) : -1;
+    if (idx === -1) return false;
+
+    entries.splice(idx, 1);
+    if (entries.length === 0) this._byCaller.delete(caller);
+    this._length--;
+    return true;
+  }
+
+  /**
+   * Remove and return every entry.
+   *
+   * @returns {object[]}
+   */
+  drain() {
+    const all = [...this._byCaller.values()].flat();
+    this._byCaller.clear();
+    this._length = 0;
+    return all;
+  }
+
+  /**
+   * @returns {{ length, maxLength, maxPerCaller, callers }}
+   */
+  getStatus() {
+    return {
+      length:       this._length,
+      maxLength:    this._maxLength,
+      maxPerCaller: this._maxPerCaller,
+      callers:      this._byCaller.size,
+    };
+  }
+}
@@ -4,6 +4,45 @@
  * Manages a single persistent Stockfish binary process for the lifetime of
  * the server. Replaces the previous spawn-per-request model.
  *
+ * Search limits (one per evaluation):
+ *   - depth (default, capped at maxDepth), or options.limit =
+ *     { type: "movetime" | "nodes" | "mate", value } → `go movetime|nodes|mate N`
+ *
+ * Time limits:
+ *   - Default: hard EVAL_TIMEOUT_MS per search → rejects "Stockfish timeout";
+ *     options.timeoutMs replaces it for long background searches
+ *   - options.timeBudgetMs: when the budget runs out the search is stopped and
+ *     the deepest complete multipv set is returned with partial: true. If no
+ *     depth has completed yet, the search runs on until one does — up to the
+ *     hard timeout, which then rejects "Stockfish timeout"
+ *
+ * Scores (cp, mate, wdl) are reported by the engine from the side to move's
+ * point of view and converted to white-relative values here. wdl is
+ * { win, draw, loss } in per-mille (sums to 1000), null if the engine did not
+ * send it.
+ *
+ * Search statistics (depth, seldepth, nodes, nps, time, hashfull, tbhits) are
+ * returned per line (moves[].stats) and for the whole search (stats, latest
+ * values reported). A line whose score is only a bound carries
+ * bound: "lower" | "upper" (white-relative) — it is not an exact score.
+ *
+ * Playing strength:
+ *   - options.strength = { elo } → UCI_LimitStrength + UCI_Elo
+ *   - options.strength = { skill } → Skill Level (0–20)
+ *   - Options are only re-sent when they change; an evaluation without
+ *     strength puts a weakened engine back at full strength first
+ *   - bestMove (+ bestMoveSan, fenAfter) is the engine's `bestmove` choice;
+ *     moves[] still lists the full-strength lines it searched
+ *
+ * Hang detection (the process is alive but not answering):
+ *   - A search with no output for stallTimeoutMs, or no `bestmove` within
+ *     STOP_GRACE_MS of `stop`, kills the process; its work fails with
+ *     "Engine unresponsive" and the exit is reported through onExit
+ *   - Deep background searches may stay silent for long stretches; they
+ *     pass options.watchStalls = false and only their timeout applies
+ *   - ping() sends `isready` to an idle engine and kills it the same way if
+ *     `readyok` does not arrive in time
+ *
  * Concurrency model:
  *   - evaluate() while idle        → runs immediately
  *   - evaluate() while busy        → queued in single slot, runs when current finishes
@@ -17,10 +56,21 @@
  */
 
 import { spawn } from "child_process";
+import { readFile } from "fs/promises";
+import { Position, replayMoves, annotatePv } from "../chess/Position.js";
 
 const MAX_DEPTH = 20;
 const INIT_TIMEOUT_MS = 10_000;
 const EVAL_TIMEOUT_MS = 15_000;
+const MOVETIME_GRACE_MS = 5_000;   // headroom over `go movetime` before the hard timeout
+const STOP_GRACE_MS = 2_000;
+const STALL_TIMEOUT_MS = 30_000;   // Stockfish reports at least every few seconds while searching
+const STALL_CHECK_MS = 1_000;
+const PING_TIMEOUT_MS = 5_000;
+const DEFAULT_HASH_MB = 16;        // Stockfish's own default
+
+// Numeric `info` fields kept as search statistics
+const STAT_FIELDS = ["depth", "seldepth", "nodes", "nps", "time", "hashfull", "tbhits"];
 
 export class StockfishProcess {
   /**
@@ -28,25 +78,63 @@ export class StockfishProcess {
    * @param {object} options
    * @param {number} options.multiPV  Number of lines to analyse (default 3)
    * @param {number} options.threads  Engine thread count (default 1)
+   * @param {number} [options.hash]  Transposition table size in MB (default 16)
+   * @param {number} [options.maxDepth]  Hard depth cap (default MAX_DEPTH)
+   * @param {string} [options.syzygyPath]  Syzygy tablebase directories for the search
+   * @param {string} [options.evalFile]  NNUE network to load instead of the built-in one
+   * @param {Function} [options.onExit]  Called when the process exits unexpectedly
+   * @param {string} [options.id]  Identifier reported by getStatus() (set by EnginePool)
+   * @param {number} [options.stallTimeoutMs]  Silence during a search before the
+   *                                           engine counts as hung (default 30000, 0 = off)
    */
   constructor(binaryPath, options = {}) {
     this._path = binaryPath;
     this._multiPV = options.multiPV ?? 3;
+    this._activeMultiPV = this._multiPV;   // MultiPV currently set on the engine
+    this._activeStrength = null;           // { elo } | { skill } set on the engine; null = full
     this._threads = options.threads ?? 1;
+    this._hash = options.hash ?? DEFAULT_HASH_MB;
+    this._maxDepth = options.maxDepth ?? MAX_DEPTH;
+    this._syzygyPath = options.syzygyPath ?? null;
+    this._evalFile = options.evalFile ?? null;
+    this._onExit = options.onExit ?? null;
+    this._id = options.id ?? null;         // label in pool metrics
+    this._stallTimeoutMs = options.stallTimeoutMs ?? STALL_TIMEOUT_MS;
 
     this._proc = null;
     this._ready = false;
+    this._quitting = false;
+    this._failure = null;        // set when the engine was killed as unresponsive
+    this._evaluations = 0;       // searches started since spawn
+    this._lastOutputAt = 0;      // timestamp of the latest stdout line
+    this._stallCheck = null;     // interval watching for silence during a search
 
     // Evaluation state
     this._busy = false;
-    this._pendingQueue = null;   // { fen, depth, resolve, reject }
+    this._pendingQueue = null;   // { fen, depth, options, resolve, reject }
     this._currentResolve = null;
     this._currentReject = null;
     this._evalTimeout = null;
+    this._hardTimeoutMs = 0;     // hard timeout of the current search
+    this._overBudget = false;    // budget ran out before any depth completed
+    this._stopping = false;      // `stop` sent; waiting for the stale bestmove
+    this._stopTimeout = null;
+    this._abortCleanup = null;   // detaches the current AbortSignal listener
 
     // Per-evaluation accumulators
     this._multipvResults = {};
     this._sideToMove = "w";
+    this._position = null;       // Position being searched — for SAN output
+    this._limit = null;          // { type, value } of the current search
+    this._onInfo = null;         // optional progress listener for the current eval
+    this._infoWanted = null;     // whether onInfo has anyone to tell right now
+    this._searchStats = {};      // latest statistics reported for the whole search
+
+    // Depth tracking for partial results: lines of the depth currently being
+    // reported, and the last depth whose full multipv set has been seen.
+    this._currentDepth = 0;
+    this._depthLines = {};
+    this._completedDepth = null; // { depth, lines }
 
     // Stdout line buffer (data arrives in chunks)
     this._lineBuffer = "";
@@ -61,35 +149,13 @@ export class StockfishProcess {
   async init() {
     if (this._ready) return;
 
-    this._proc = spawn(this._path);
-
-    // Wire up stdout line dispatcher
-    this._proc.stdout.on("data", (chunk) => this._onData(chunk));
-
-    this._proc.stderr.on("data", (data) => {
-      console.error("[StockfishProcess] stderr:", data.toString().trim());
-    });
-
-    this._proc.on("error", (err) => {
-      console.error("[StockfishProcess] process error:", err.message);
-      if (this._currentReject) {
-        this._currentReject(new Error(`Engine process error: ${err.message}`));
-        this._cleanupEval();
-      }
-    });
-
-    this._proc.on("exit", (code, signal) => {
-      console.warn(`[StockfishProcess] process exited (code=${code} signal=${signal})`);
-      this._ready = false;
-    });
+    this._start();
 
     // Wait for uciok
     await this._sendAndWait("uci\n", "uciok", INIT_TIMEOUT_MS);
 
     // Set persistent options
-    this._write(`setoption name MultiPV value ${this._multiPV}\n`);
-    this._write(`setoption name Threads value ${this._threads}\n`);
-    this._write("setoption name SyzygyProbeDepth value 0\n");
+    this._writeOptions(this._persistentOptions());
 
     // Wait for readyok
     await this._sendAndWait("isready\n", "readyok", INIT_TIMEOUT_MS);
@@ -106,10 +172,31 @@ export class StockfishProcess {
    * Evaluate a FEN position.
    *
    * @param {string} fen    Position in FEN notation
-   * @param {number} depth  Search depth (capped at MAX_DEPTH)
+   * @param {number} depth  Search depth (capped at maxDepth); ignored with options.limit
+   * @param {object} [options]
+   * @param {Function} [options.onInfo]  Called with every parsed multipv line
+   *                                     ({ depth, multipv, move, evaluation, mate, pv })
+   * @param {Function} [options.infoWanted]  () → boolean; lines are only converted to
+   *                                         SAN and passed to onInfo while it returns true
+   * @param {AbortSignal} [options.signal]  Aborting sends `stop` and rejects with
+   *                                        "Evaluation cancelled"
+   * @param {number} [options.timeBudgetMs]  Time budget; on expiry resolve with the
+   *                                         deepest complete result (partial: true)
+   * @param {number} [options.multiPV]  Lines for this search only (default: constructor value)
+   * @param {{ type: "movetime"|"nodes"|"mate", value: number }} [options.limit]
+   *                                    Search limit used instead of depth
+   * @param {string[]} [options.moves]  UCI moves played from `fen`; sent as
+   *                                    `position fen … moves …` so the engine
+   *                                    sees repetition and 50-move history
+   * @param {{ elo: number }|{ skill: number }} [options.strength]
+   *                                    Play weaker for this search only
+   * @param {number} [options.timeoutMs]  Hard timeout for this search
+   *                                      (default EVAL_TIMEOUT_MS)
+   * @param {boolean} [options.watchStalls=true]  Kill the engine after
+   *                                              stallTimeoutMs of silence
    * @returns {Promise<EvalResult>}
    */
-  async evaluate(fen, depth = 18) {
+  async evaluate(fen, depth = 18, options = {}) {
     if (!this._ready) throw new Error("Engine not initialized");
 
     if (this._busy) {
@@ -120,11 +207,11 @@ export class StockfishProcess {
 
       // Queue this call — it will be started when the current eval finishes
       return new Promise((resolve, reject) => {
-        this._pendingQueue = { fen, depth, resolve, reject };
+        this._pendingQueue = { fen, depth, options, resolve, reject };
       });
     }
 
-    return this._runEvaluate(fen, depth);
+    return this._runEvaluate(fen, depth, options);
   }
 
   /**
@@ -133,12 +220,88 @@ export class StockfishProcess {
    */
   getStatus() {
     return {
-      ready:   this._ready,
-      busy:    this._busy,
-      queued:  this._pendingQueue !== null,
+      id:          this._id,
+      ready:       this._ready,
+      busy:        this._busy,
+      stopping:    this._stopping,
+      queued:      this._pendingQueue !== null,
+      evaluations: this._evaluations,
     };
   }
 
+  /**
+   * Check that an idle engine still answers. A missing `readyok` kills the
+   * process (see _kill).
+   *
+   * @param {number} [timeoutMs=5000]
+   * @throws {Error} "Engine not idle" | "Engine unresponsive"
+   */
+  async ping(timeoutMs = PING_TIMEOUT_MS) {
+    if (!this._ready || this._busy) throw new Error("Engine not idle");
+
+    try {
+      await this._sendAndWait("isready\n", "readyok", timeoutMs);
+    } catch {
+      this._kill(`no readyok within ${timeoutMs} ms`);
+      throw new Error("Engine unresponsive");
+    }
+  }
+
+  /**
+   * Change engine options on an idle engine and wait until they are applied
+   * (a new Hash is allocated before `readyok`). They persist for every later
+   * search; a per-search multiPV still overrides MultiPV.
+   *
+   * @param {object} options
+   * @param {number} [options.multiPV]
+   * @param {number} [options.threads]
+   * @param {number} [options.hash]  MB
+   * @throws {Error} "Engine not idle" | "Engine unresponsive"
+   */
+  async configure({ multiPV, threads, hash }) {
+    if (!this._ready || this._busy) throw new Error("Engine not idle");
+
+    const changes = [];
+    if (multiPV !== undefined && multiPV !== this._multiPV) {
+      this._multiPV = multiPV;
+      this._activeMultiPV = multiPV;
+      changes.push(["MultiPV", multiPV]);
+    }
+    if (threads !== undefined && threads !== this._threads) {
+      this._threads = threads;
+      changes.push(["Threads", threads]);
+    }
+    if (hash !== undefined && hash !== this._hash) {
+      this._hash = hash;
+      changes.push(["Hash", hash]);
+    }
+    if (changes.length === 0) return;
+
+    this._writeOptions(changes);
+    try {
+      await this._sendAndWait("isready\n", "readyok", INIT_TIMEOUT_MS);
+    } catch {
+      this._kill(`no readyok within ${INIT_TIMEOUT_MS} ms of setoption`);
+      throw new Error("Engine unresponsive");
+    }
+  }
+
+  /**
+   * Resident memory of the engine process, for recycling bloated engines.
+   *
+   * @returns {Promise<number|null>} Bytes, or null where it cannot be read (non-Linux)
+   */
+  async getRssBytes() {
+    if (!this._proc?.pid) return null;
+    try {
+      const status = await readFile(`/proc/${this._proc.pid}/status`, "utf8");
+      const kb = status.match(/^VmRSS:\s+(\d+) kB/m);
+      return kb ? parseInt(kb[1], 10) * 1024 : null;
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Send quit and kill the process cleanly.
    */
@@ -152,29 +315,16 @@ export class StockfishProcess {
     }
 
     // Cancel current eval
-    if (this._currentReject) {
-      this._currentReject(new Error("Engine shutting down"));
+    if (this._busy) {
+      this._currentReject?.(new Error("Engine shutting down"));
       this._cleanupEval();
     }
 
     this._ready = false;
-
-    try {
-      this._write("quit\n");
-    } catch {}
+    this._quitting = true;
 
     // Give it 1s to quit cleanly, then force-kill
-    await new Promise((resolve) => {
-      const kill = setTimeout(() => {
-        try { this._proc.kill("SIGKILL"); } catch {}
-        resolve();
-      }, 1000);
-
-      this._proc.once("exit", () => {
-        clearTimeout(kill);
-        resolve();
-      });
-    });
+    await this._terminate();
 
     this._proc = null;
     console.log("[StockfishProcess] Engine stopped.");
@@ -185,43 +335,170 @@ export class StockfishProcess {
   /**
    * Actually run an evaluation — must only be called when not busy.
    */
-  _runEvaluate(fen, depth) {
+  _runEvaluate(fen, depth, options = {}) {
+    // Cancelled while waiting in the single-slot queue — never start it
+    if (options.signal?.aborted) {
+      return Promise.reject(new Error("Evaluation cancelled"));
+    }
+
     this._busy = true;
+    this._evaluations++;
     this._multipvResults = {};
-    this._sideToMove = fen.split(" ")[1] || "w";
+    this._currentDepth = 0;
+    this._depthLines = {};
+    this._completedDepth = null;
+    this._searchStats = {};
+    this._onInfo = options.onInfo ?? null;
+    this._infoWanted = options.infoWanted ?? null;
+
+    // Scores are reported for the side to move AFTER the move list
+    const moves = options.moves ?? [];
+    const startSide = fen.split(" ")[1] || "w";
+    this._sideToMove = moves.length % 2 === 0 ? startSide : (startSide === "w" ? "b" : "w");
+
+    // SAN is best-effort: callers validate FENs, but a position we cannot
+    // parse must never fail the search itself
+    try {
+      this._position = replayMoves(Position.fromFen(fen), moves).final;
+    } catch {
+      this._position = null;
+    }
+
+    const limit = options.limit ?? {
+      type:  "depth",
+      value: Math.min(Math.max(1, depth), this._maxDepth),
+    };
+    this._limit = limit;
 
-    const cappedDepth = Math.min(Math.max(1, depth), MAX_DEPTH);
+    // A movetime search may legitimately run past the hard timeout
+    const timeout = options.timeoutMs ?? EVAL_TIMEOUT_MS;
+    const hardTimeout = limit.type === "movetime"
+      ? Math.max(timeout, limit.value + MOVETIME_GRACE_MS)
+      : timeout;
+
+    this._hardTimeoutMs = hardTimeout;
 
     return new Promise((resolve, reject) => {
       this._currentResolve = resolve;
       this._currentReject = reject;
 
-      // Hard timeout per evaluation.
-      // Guard: if bestmove already resolved this eval, abort cleanly.
+      // Time budget returns what we have; otherwise a hard timeout per evaluation.
+      const budget = options.timeBudgetMs;
       this._evalTimeout = setTimeout(() => {
-        if (!this._busy) return;          // already resolved — do nothing
-        this._write("stop\n");            // tell engine to stop searching
-        this._lineBuffer = "";           // discard any partial line from stopped search
-        reject(new Error("Stockfish timeout"));
-        this._cleanupEval();
-      }, EVAL_TIMEOUT_MS);
+        if (budget) this._expireBudget();
+        else this._abortSearch(new Error("Stockfish timeout"));
+      }, budget ?? hardTimeout);
+
+      // A live engine reports progress while it searches — silence means hung.
+      // Deep searches can spend minutes on one root move without a word.
+      this._lastOutputAt = Date.now();
+      if (this._stallTimeoutMs > 0 && options.watchStalls !== false) {
+        this._stallCheck = setInterval(() => {
+          const silentMs = Date.now() - this._lastOutputAt;
+          if (silentMs > this._stallTimeoutMs) this._kill(`no output for ${silentMs} ms`);
+        }, STALL_CHECK_MS);
+      }
+
+      if (options.signal) {
+        const onAbort = () => this._abortSearch(new Error("Evaluation cancelled"));
+        options.signal.addEventListener("abort", onAbort, { once: true });
+        this._abortCleanup = () => options.signal.removeEventListener("abort", onAbort);
+      }
+
+      // Per-request MultiPV — only re-sent when it differs from the engine's
+      const multiPV = options.multiPV ?? this._multiPV;
+      if (multiPV !== this._activeMultiPV) {
+        this._write(`setoption name MultiPV value ${multiPV}\n`);
+        this._activeMultiPV = multiPV;
+      }
+      this._applyStrength(options.strength ?? null);
 
       // Reset transposition table between positions for determinism
       this._write("ucinewgame\n");
-      this._write(`position fen ${fen}\n`);
-      this._write(`go depth ${cappedDepth}\n`);
+      this._write(`position fen ${fen}${moves.length ? ` moves ${moves.join(" ")}` : ""}\n`);
+      this._write(`go ${limit.type} ${limit.value}\n`);
     });
   }
 
+  /**
+   * Stop the running search and reject its caller right away.
+   *
+   * @param {Error} err  Rejection handed to the caller
+   */
+  _abortSearch(err) {
+    this._stopSearch()?.reject(err);
+  }
+
+  /**
+   * Time budget ran out: stop the search and resolve with the deepest complete
+   * multipv set. With no depth complete yet the search keeps going until the
+   * first one is (see _parseInfoLine), or rejects with "Stockfish timeout"
+   * once the hard timeout has passed as well.
+   */
+  _expireBudget() {
+    const partial = this._buildPartialResult();
+    if (!partial && !this._overBudget) {
+      this._overBudget = true;
+      this._evalTimeout = setTimeout(() => {
+        this._abortSearch(new Error("Stockfish timeout"));
+      }, this._hardTimeoutMs);
+      return;
+    }
+    const settle = this._stopSearch();
+    if (!settle) return;
+    if (partial) settle.resolve(partial);
+    else settle.reject(new Error("Stockfish timeout"));
+  }
+
+  /**
+   * Send `stop` and detach the current caller. Returns the caller's
+   * { resolve, reject } pair, or null if there is nothing to stop.
+   *
+   * The engine stays busy until the stale `bestmove` of the stopped search
+   * arrives — otherwise that bestmove would resolve the NEXT evaluation with
+   * this search's result. An engine that never answers `stop` is hung and is
+   * killed after STOP_GRACE_MS.
+   */
+  _stopSearch() {
+    if (!this._busy || this._stopping) return null;   // already resolved or stopping
+
+    const settle = { resolve: this._currentResolve, reject: this._currentReject };
+    this._stopping = true;
+    this._overBudget = false;
+    clearTimeout(this._evalTimeout);
+    this._evalTimeout = null;
+    this._abortCleanup?.();
+    this._abortCleanup = null;
+    this._currentResolve = null;
+    this._currentReject = null;
+    this._onInfo = null;
+
+    this._write("stop\n");
+    this._stopTimeout = setTimeout(() => {
+      this._kill(`no bestmove within ${STOP_GRACE_MS} ms of stop`);
+    }, STOP_GRACE_MS);
+
+    return settle;
+  }
+
   /**
    * Reset per-evaluation state and process the pending queue if any.
    */
   _cleanupEval() {
     clearTimeout(this._evalTimeout);
+    clearTimeout(this._stopTimeout);
+    clearInterval(this._stallCheck);
     this._evalTimeout = null;
+    this._stopTimeout = null;
+    this._stallCheck = null;
+    this._overBudget = false;
+    this._stopping = false;
+    this._abortCleanup?.();
+    this._abortCleanup = null;
     this._currentResolve = null;
     this._currentReject = null;
     this._multipvResults = {};
+    this._onInfo = null;
     this._busy = false;
 
     // Drain single-slot queue.
@@ -229,20 +506,153 @@ export class StockfishProcess {
     // exited between evals), the queued caller gets a proper rejection instead
     // of an unhandled promise.
     if (this._pendingQueue) {
-      const { fen, depth, resolve, reject } = this._pendingQueue;
+      const { fen, depth, options, resolve, reject } = this._pendingQueue;
       this._pendingQueue = null;
       try {
-        this._runEvaluate(fen, depth).then(resolve).catch(reject);
+        this._runEvaluate(fen, depth, options).then(resolve).catch(reject);
       } catch (err) {
         reject(err);
       }
     }
   }
 
+  /**
+   * UCI options set once after the handshake, as [name, value] pairs.
+   */
+  _persistentOptions() {
+    return [
+      ["MultiPV", this._multiPV],
+      ["Threads", this._threads],
+      ["Hash", this._hash],
+      ...(this._evalFile ? [["EvalFile", this._evalFile]] : []),
+      // Probe the tables at every depth when they are local; off otherwise
+      ...(this._syzygyPath
+        ? [["SyzygyPath", this._syzygyPath], ["SyzygyProbeDepth", 1]]
+        : [["SyzygyProbeDepth", 0]]),
+      ["UCI_ShowWDL", true],
+    ];
+  }
+
+  /**
+   * Send UCI options as [name, value] pairs.
+   */
+  _writeOptions(options) {
+    for (const [name, value] of options) {
+      this._write(`setoption name ${name} value ${value}\n`);
+    }
+  }
+
+  /**
+   * Spawn the engine binary and wire its output and lifecycle events.
+   * Subclasses running the engine elsewhere override _start, _write and
+   * _terminate; everything above the transport is shared.
+   */
+  _start() {
+    this._proc = spawn(this._path);
+
+    // Wire up stdout line dispatcher
+    this._proc.stdout.on("data", (chunk) => this._onData(chunk));
+
+    this._proc.stderr.on("data", (data) => {
+      console.error("[StockfishProcess] stderr:", data.toString().trim());
+    });
+
+    this._proc.on("error", (err) => this._onProcessError(err));
+
+    // A dead process closes stdin; swallow EPIPE here so a late write can
+    // never surface as an unhandled 'error' event and take the server down.
+    this._proc.stdin.on("error", (err) => {
+      console.error("[StockfishProcess] stdin error:", err.message);
+    });
+
+    this._proc.on("exit", (code, signal) => this._onProcessExit(code, signal));
+  }
+
+  /**
+   * Ask the engine to quit; force-kill it if it has not exited within 1s.
+   */
+  async _terminate() {
+    try {
+      this._write("quit\n");
+    } catch {}
+
+    await new Promise((resolve) => {
+      if (this._proc.exitCode !== null || this._proc.signalCode !== null) {
+        resolve();
+        return;
+      }
+
+      const kill = setTimeout(() => {
+        try { this._proc.kill("SIGKILL"); } catch {}
+        resolve();
+      }, 1000);
+
+      this._proc.once("exit", () => {
+        clearTimeout(kill);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Kill the process immediately, without `quit`.
+   */
+  _destroy() {
+    try { this._proc.kill("SIGKILL"); } catch {}
+  }
+
+  /**
+   * The engine stopped responding: mark it failed and kill it. The exit then
+   * fails its work with "Engine unresponsive" and is reported through onExit
+   * like a crash, so the pool replaces it.
+   *
+   * @param {string} reason  For the log
+   */
+  _kill(reason) {
+    if (!this._proc || this._failure || this._quitting) return;
+    console.error(`[StockfishProcess] Engine unresponsive (${reason}) — killing.`);
+    this._failure = "Engine unresponsive";
+    this._ready = false;
+    this._destroy();
+  }
+
+  /**
+   * The engine could not be started or failed at the OS level.
+   */
+  _onProcessError(err) {
+    console.error("[StockfishProcess] process error:", err.message);
+    if (this._busy) {
+      this._currentReject?.(new Error(`Engine process error: ${err.message}`));
+      this._cleanupEval();
+    }
+  }
+
+  /**
+   * The engine exited. Unless we asked it to quit, fail in-flight and queued
+   * work now instead of waiting for the timeout.
+   */
+  _onProcessExit(code, signal) {
+    console.warn(`[StockfishProcess] process exited (code=${code} signal=${signal})`);
+    this._ready = false;
+    if (this._quitting) return;
+
+    const message = this._failure ?? "Engine process exited";
+    if (this._pendingQueue) {
+      this._pendingQueue.reject(new Error(message));
+      this._pendingQueue = null;
+    }
+    if (this._busy) {
+      this._currentReject?.(new Error(message));
+      this._cleanupEval();
+    }
+    this._onExit?.(code, signal);
+  }
+
   /**
    * Write a raw UCI command string to stdin.
    */
   _write(cmd) {
+    if (!this._proc || this._proc.stdin.destroyed) return;
     this._proc.stdin.write(cmd);
   }
 
@@ -266,6 +676,7 @@ export class StockfishProcess {
    * Routes to init listener or eval listener depending on current state.
    */
   _onLine(line) {
+    this._lastOutputAt = Date.now();
     if (!line) return;
 
     // Forward to one-shot init listener if active
@@ -277,16 +688,32 @@ export class StockfishProcess {
     // ── Evaluation output ─────────────────────────────────────────────────────
 
     // info ... multipv N ... score ... pv ...
-    if (line.startsWith("info") && line.includes(" multipv ")) {
-      this._parseInfoLine(line);
+    if (line.startsWith("info")) {
+      if (this._busy && !this._stopping) this._recordStats(parseStats(line));
+      if (line.includes(" multipv ")) this._parseInfoLine(line);
       return;
     }
 
     // bestmove → evaluation complete.
-    // Guard: if timeout already rejected this eval, abort cleanly.
+    // Guard: a stopped search's bestmove is stale — free the engine, drop it.
     if (line.startsWith("bestmove")) {
-      if (!this._busy) return;            // timeout already fired — do nothing
+      if (!this._busy) return;            // no search to finish — stray line
+      if (this._stopping) {
+        this._cleanupEval();
+        return;
+      }
       const result = this._buildResult();
+
+      // A weakened engine picks its move when the search ends, usually not
+      // the top line — report the move it actually chose.
+      const played = line.split(/\s+/)[1];
+      if (this._activeStrength && played && played !== "(none)") {
+        const { san, fenAfter } = this._position
+          ? annotatePv(this._position, [played])
+          : { san: null, fenAfter: null };
+        Object.assign(result, { bestMove: played, bestMoveSan: san, fenAfter });
+      }
+
       const resolve = this._currentResolve;
       this._cleanupEval();
       resolve?.(result);
@@ -312,6 +739,11 @@ export class StockfishProcess {
     const mateMatch = line.match(/score mate (-?\d+)/);
     const cpMatch = line.match(/score cp (-?\d+)/);
 
+    // Bounds are reported for the side to move; seen from white they swap
+    const boundMatch = line.match(/ (lower|upper)bound/);
+    let bound = boundMatch ? boundMatch[1] : null;
+    if (bound && this._sideToMove === "b") bound = bound === "lower" ? "upper" : "lower";
+
     if (mateMatch) {
       const rawMate = parseInt(mateMatch[1], 10);
       mate = this._sideToMove === "b" ? -rawMate : rawMate;
@@ -321,22 +753,139 @@ export class StockfishProcess {
       evaluation = this._sideToMove === "b" ? -rawEval : rawEval;
     }
 
+    // wdl W D L — side to move's win / draw / loss; swap win and loss for black
+    let wdl = null;
+    const wdlMatch = line.match(/ wdl (\d+) (\d+) (\d+)/);
+    if (wdlMatch) {
+      const [w, d, l] = wdlMatch.slice(1).map(Number);
+      wdl = this._sideToMove === "b"
+        ? { win: l, draw: d, loss: w }
+        : { win: w, draw: d, loss: l };
+    }
+
     if (move && evaluation !== null) {
-      this._multipvResults[multipvNum] = { move, evaluation, mate, pv: pvArr };
+      const stats = parseStats(line);
+      const entry = { move, evaluation, mate, wdl, bound, pv: pvArr, stats };
+      this._multipvResults[multipvNum] = entry;
+
+      const depth = stats.depth ?? null;
+      if (depth !== null) this._trackDepth(depth, multipvNum, entry);
+      if (this._overBudget && this._buildPartialResult()) {
+        this._expireBudget();
+        return;
+      }
+
+      // SAN conversion of the whole PV is the costly part — skip it unheard
+      if (this._onInfo && (this._infoWanted?.() ?? true)) {
+        this._onInfo({ depth, multipv: multipvNum, ...this._annotate(entry) });
+      }
+    }
+  }
+
+  /**
+   * Set the engine's playing strength for the next search, or restore full
+   * strength when `strength` is null. Nothing is sent if it is already set.
+   *
+   * @param {{ elo: number }|{ skill: number }|null} strength
+   */
+  _applyStrength(strength) {
+    const active = this._activeStrength;
+    if (active?.elo === strength?.elo && active?.skill === strength?.skill) return;
+
+    if (strength?.elo !== undefined) {
+      this._write("setoption name UCI_LimitStrength value true\n");
+      this._write(`setoption name UCI_Elo value ${strength.elo}\n`);
+    } else {
+      this._write("setoption name UCI_LimitStrength value false\n");
+      this._write(`setoption name Skill Level value ${strength?.skill ?? 20}\n`);
+    }
+    this._activeStrength = strength;
+  }
+
+  /**
+   * Merge the statistics of one info line into the whole-search totals.
+   * seldepth keeps its maximum; everything else takes the latest value.
+   */
+  _recordStats(stats) {
+    for (const field of STAT_FIELDS) {
+      if (stats[field] === null) continue;
+      this._searchStats[field] = field === "seldepth"
+        ? Math.max(this._searchStats.seldepth ?? 0, stats.seldepth)
+        : stats[field];
+    }
+  }
+
+  /**
+   * Stockfish prints the whole multipv set for depth N before any line of
+   * depth N+1, so the first line of a deeper iteration completes the previous one.
+   */
+  _trackDepth(depth, multipvNum, entry) {
+    if (depth > this._currentDepth) {
+      if (this._currentDepth > 0) {
+        this._completedDepth = { depth: this._currentDepth, lines: this._depthLines };
+      }
+      this._currentDepth = depth;
+      this._depthLines = {};
+    }
+    if (depth === this._currentDepth) {
+      this._depthLines[multipvNum] = entry;
+    }
+  }
+
+  /**
+   * Add SAN (`san`, `pvSan`) and the FEN after the line's first move to a
+   * multipv entry. Returns a copy; stored entries stay UCI-only.
+   */
+  _annotate(entry) {
+    if (!this._position) return { ...entry, san: null, pvSan: [], fenAfter: null };
+    return { ...entry, ...annotatePv(this._position, entry.pv) };
+  }
+
+  /**
+   * Build a partial result from the deepest complete multipv set, or null if
+   * no depth has completed yet. The depth in progress counts as complete once
+   * it has as many lines as the previous one (or the configured MultiPV).
+   */
+  _buildPartialResult() {
+    const expected = this._completedDepth
+      ? Object.keys(this._completedDepth.lines).length
+      : this._activeMultiPV;
+
+    let snapshot = this._completedDepth;
+    if (this._currentDepth > 0 && Object.keys(this._depthLines).length >= expected) {
+      snapshot = { depth: this._currentDepth, lines: this._depthLines };
     }
+    if (!snapshot) return null;
+
+    return this._buildResult(snapshot.lines, snapshot.depth, true);
   }
 
   /**
    * Build the final result object from accumulated multipv data.
-   * Keeps the exact same sort logic as the original runStockfish().
+   * Same sort logic as the original runStockfish(), seen from the side to move.
+   *
+   * @param {object}  [lines]         multipv number → line (defaults to latest lines)
+   * @param {number}  [depthReached]  Depth the lines come from
+   * @param {boolean} [partial]       true when the search was cut short
    */
-  _buildResult() {
-    const moves = Object.keys(this._multipvResults)
+  _buildResult(lines = this._multipvResults, depthReached = this._currentDepth, partial = false) {
+    // Scores are white-relative; rank lines from the side to move's point of
+    // view so moves[0] is the engine's best move for black too.
+    const pov = this._sideToMove === "b" ? -1 : 1;
+    const fromMover = (m) => ({
+      mate:       m.mate === null ? null : m.mate * pov,
+      evaluation: m.evaluation * pov,
+    });
+
+    const moves = Object.keys(lines)
       .map(Number)
       .sort((a, b) => a - b)
-      .map((n) => this._multipvResults[n])
+      .map((n) => lines[n])
       .filter((m) => m && m.move && m.evaluation !== null)
-      .sort((a, b) => {
+      .map((m) => this._annotate(m))
+      .sort((x, y) => {
+        const a = fromMover(x);
+        const b = fromMover(y);
         if (a.mate !== null && b.mate !== null) {
           if (a.mate > 0 && b.mate > 0) return a.mate - b.mate;
           if (a.mate < 0 && b.mate < 0) return b.mate - a.mate;
@@ -351,9 +900,16 @@ export class StockfishProcess {
     const primary = moves[0] || null;
 
     return {
+      source: "engine",
       bestMove: primary?.move ?? null,
+      bestMoveSan: primary?.san ?? null,
       evaluation: primary?.evaluation ?? null,
       mate: primary?.mate ?? null,
+      wdl: primary?.wdl ?? null,
+      depthReached: depthReached || null,
+      limit: this._limit,
+      stats: Object.fromEntries(STAT_FIELDS.map((f) => [f, this._searchStats[f] ?? null])),
+      partial,
       moves,
     };
   }
@@ -381,3 +937,17 @@ export class StockfishProcess {
     });
   }
 }
+
+/**
+ * Extract the numeric statistics of an `info` line; fields the line does not
+ * carry are null.
+ *
+ * @param {string} line
+ * @returns {{ depth, seldepth, nodes, nps, time, hashfull, tbhits }}
+ */
+function parseStats(line) {
+  return Object.fromEntries(STAT_FIELDS.map((field) => {
+    const match = line.match(new RegExp(` ${field} (\\d+)`));
+    return [field, match ? parseInt(match[1], 10) : null];
+  }));
+}
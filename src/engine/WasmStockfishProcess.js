@@ -0,0 +1,92 @@
+/**
+ * WasmStockfishProcess
+ *
+ * StockfishProcess running the stockfish.js WebAssembly build in a worker
+ * thread instead of a native binary, for hosts where no binary can be
+ * installed. UCI handling, result schema and score normalization are
+ * inherited unchanged — only the transport differs.
+ *
+ * Differences from the native engine:
+ *   - Single-threaded; Threads is never set
+ *   - No Syzygy support in the build; syzygyPath is ignored
+ *   - Classical evaluation only; evalFile is ignored
+ *   - stockfish.js 10 does not report WDL, so wdl is null
+ *   - No RSS of its own (the worker shares the server's heap), so engines are
+ *     never recycled for memory
+ *
+ * Usage:
+ *   const engine = new WasmStockfishProcess(null, { multiPV: 3 });  // bundled build
+ *   await engine.init();
+ */
+
+import { Worker } from "worker_threads";
+import { createRequire } from "module";
+import { StockfishProcess } from "./StockfishProcess.js";
+
+const WORKER_URL = new URL("./wasmWorker.js", import.meta.url);
+
+// Options the build lacks — setting Threads hangs its single worker
+const UNSUPPORTED_OPTIONS = new Set(["Threads", "SyzygyPath", "SyzygyProbeDepth", "EvalFile"]);
+
+export class WasmStockfishProcess extends StockfishProcess {
+  /**
+   * @param {string|null} scriptPath  Engine script; null → the installed
+   *                                  stockfish.js package (WASM build)
+   * @param {object} options          See StockfishProcess
+   */
+  constructor(scriptPath, options = {}) {
+    super(scriptPath, { ...options, threads: 1, syzygyPath: null });
+  }
+
+  _writeOptions(options) {
+    super._writeOptions(options.filter(([name]) => !UNSUPPORTED_OPTIONS.has(name)));
+  }
+
+  // ─── Transport ───────────────────────────────────────────────────────────────
+
+  _start() {
+    const script = this._path ?? createRequire(import.meta.url).resolve("stockfish.js");
+
+    this._proc = new Worker(WORKER_URL, { workerData: script });
+    this._exited = false;
+
+    // One UCI line per message
+    this._proc.on("message", (line) => this._onLine(String(line).trim()));
+    this._proc.on("error", (err) => this._onProcessError(err));
+    this._proc.on("exit", (code) => {
+      this._exited = true;
+      this._onProcessExit(code, null);
+    });
+  }
+
+  _write(cmd) {
+    if (!this._proc) return;
+    for (const line of cmd.split("\n")) {
+      if (line) this._proc.postMessage(line);
+    }
+  }
+
+  _destroy() {
+    this._proc.terminate().catch(() => {});
+  }
+
+  async _terminate() {
+    this._write("quit\n");
+
+    await new Promise((resolve) => {
+      if (this._exited) {
+        resolve();
+        return;
+      }
+
+      const kill = setTimeout(() => {
+        this._proc.terminate().then(resolve, resolve);
+      }, 1000);
+
+      this._proc.once("exit", () => {
+        clearTimeout(kill);
+        resolve();
+      });
+    });
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Worker-thread host for the stockfish.js WebAssembly build.
+ *
+ * stockfish.js is written as a browser Web Worker: it reads commands from a
+ * global `onmessage` and prints through a global `postMessage`. This file
+ * provides those globals on top of worker_threads so WasmStockfishProcess can
+ * talk UCI to it line by line.
+ *
+ * workerData: absolute path of the engine script (stockfish.wasm.js or the
+ * asm.js build stockfish.js).
+ */
+
+import { parentPort, workerData } from "worker_threads";
+import { createRequire } from "module";
+import path from "path";
+
+const require = createRequire(import.meta.url);
+const fs = require("fs");
+
+// The build loads "stockfish.wasm" relative to the working directory —
+// resolve it next to the script instead.
+const scriptDir = path.dirname(workerData);
+const readFileSync = fs.readFileSync;
+fs.readFileSync = (file, ...rest) => readFileSync(
+  typeof file === "string" && file.endsWith(".wasm") && !path.isAbsolute(file)
+    ? path.join(scriptDir, file)
+    : file,
+  ...rest
+);
+
+// Node's fetch cannot load a relative file URL; without it the build falls
+// back to the filesystem read above.
+globalThis.fetch = undefined;
+
+// Web Worker globals used by the build
+globalThis.postMessage = (line) => parentPort.postMessage(line);
+globalThis.close = () => process.exit(0);   // sent on "quit"
+
+require(workerData);
+
+parentPort.on("message", (command) => globalThis.onmessage({ data: command }));
@@ -0,0 +1,58 @@
+/**
+ * Search limits in request bodies
+ *
+ * A search runs to `depth` unless the body gives exactly one of `movetime`,
+ * `nodes` or `mate`. Every value is an integer — numeric strings included —
+ * and is capped per request class by the caller's `caps`.
+ *
+ * Usage:
+ *   const search = parseSearchLimit(req.body, 18, caps);   // caps: { depth, movetime, nodes, mate }
+ *   if (search.error) return res.status(400).json({ error: search.error });
+ *   pool.evaluate(fen, search.depth, { limit: search.limit });
+ */
+
+// Search limits a caller may use instead of depth
+export const SEARCH_LIMITS = ["movetime", "nodes", "mate"];
+
+/**
+ * Pick the search limit from a request body: `depth` (default) or exactly one
+ * of `movetime` / `nodes` / `mate`. Values are capped at `caps`.
+ *
+ * @param {object} body          Request body
+ * @param {number} defaultDepth  Depth when the body gives no limit
+ * @param {{ depth, movetime, nodes, mate }} caps  Largest value of each limit
+ * @returns {{ depth: number } | { limit: { type, value } } | { error: string }}
+ */
+export function parseSearchLimit(body, defaultDepth, caps) {
+  const given = SEARCH_LIMITS.filter((type) => body[type] !== undefined);
+
+  if (given.length + (body.depth !== undefined ? 1 : 0) > 1) {
+    return { error: "Specify only one of depth, movetime, nodes, mate" };
+  }
+
+  if (given.length === 0) {
+    const depth = toNumber(body.depth ?? defaultDepth);
+    if (!Number.isInteger(depth)) {
+      return { error: "depth must be an integer" };
+    }
+    // Cap depth at route level — callers cannot force depth > caps.depth
+    return { depth: Math.min(Math.max(1, depth), caps.depth) };
+  }
+
+  const type  = given[0];
+  const value = toNumber(body[type]);
+  if (!Number.isInteger(value) || value < 1) {
+    return { error: `${type} must be a positive integer` };
+  }
+
+  return { limit: { type, value: Math.min(value, caps[type]) } };
+}
+
+/**
+ * Numeric strings ("18") as numbers — clients have always been able to send
+ * depth as a string, so every search limit accepts one. Anything else is
+ * returned unchanged.
+ */
+export function toNumber(value) {
+  return typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+}
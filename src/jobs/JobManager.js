@@ -0,0 +1,226 @@
+/**
+ * JobManager
+ *
+ * Background jobs for work too long for a synchronous request (deep searches,
+ * whole-game analysis). A job is created with a run function, executes in the
+ * background and is polled by id.
+ *
+ * Lifecycle:
+ *   queued → running → done | failed | cancelled
+ *
+ * Scheduling:
+ *   - At most maxRunning jobs run at once; the rest wait FIFO
+ *   - More than maxPending queued + running jobs → throw "Job queue full"
+ *   - Jobs submit their evaluations at background priority, so the pool
+ *     serves interactive and batch requests first
+ *
+ * Finished jobs are kept for ttlMs, then dropped on the next access.
+ *
+ * A job created with an owner (the API key's name) can only be read or
+ * cancelled by that owner; for anyone else it does not exist.
+ *
+ * Usage:
+ *   const jobs = new JobManager({ maxRunning: 2 });
+ *   const job = jobs.create("evaluate", ({ signal, onProgress }) => work(...), "partner");
+ *   jobs.get(job.id, "partner");      // { id, type, status, progress, result, error, ... }
+ *   jobs.cancel(job.id, "partner");
+ */
+
+import { randomUUID } from "crypto";
+
+const DEFAULT_MAX_RUNNING = 2;
+const DEFAULT_MAX_PENDING = 50;
+const DEFAULT_TTL_MS      = 60 * 60 * 1000;
+
+const FINISHED = new Set(["done", "failed", "cancelled"]);
+
+export class JobManager {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxRunning=2]   Jobs executing at the same time
+   * @param {number} [options.maxPending=50]  Queued + running jobs before new ones are refused
+   * @param {number} [options.ttlMs=3600000]  How long finished jobs stay retrievable
+   */
+  constructor({
+    maxRunning = DEFAULT_MAX_RUNNING,
+    maxPending = DEFAULT_MAX_PENDING,
+    ttlMs      = DEFAULT_TTL_MS,
+  } = {}) {
+    this._maxRunning = maxRunning;
+    this._maxPending = maxPending;
+    this._ttlMs      = ttlMs;
+
+    // id → job record. Each record:
+    // { id, type, status, progress, result, error, createdAt, startedAt,
+    //   finishedAt, run, controller, owner }
+    this._jobs    = new Map();
+    this._waiting = [];   // ids of queued jobs — FIFO
+    this._running = 0;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  /**
+   * Queue a job.
+   *
+   * @param {string}      type          Label returned to clients ("evaluate", "analyze-game")
+   * @param {Function}    run           ({ signal, onProgress }) => Promise<result>
+   * @param {string|null} [owner=null]  Only this owner may read or cancel the job; null → anyone
+   * @returns {object} Public view of the new job
+   * @throws {Error} "Job queue full" when maxPending jobs are already waiting or running
+   */
+  create(type, run, owner = null) {
+    this._prune();
+
+    if (this._waiting.length + this._running >= this._maxPending) {
+      throw new Error("Job queue full");
+    }
+
+    const job = {
+      id:         randomUUID(),
+      type,
+      status:     "queued",
+      progress:   null,
+      result:     null,
+      error:      null,
+      createdAt:  Date.now(),
+      startedAt:  null,
+      finishedAt: null,
+      run,
+      controller: new AbortController(),
+      owner,
+    };
+
+    this._jobs.set(job.id, job);
+    this._waiting.push(job.id);
+    this._startNext();
+    return this._view(job);
+  }
+
+  /**
+   * @param {string}      id
+   * @param {string|null} [owner=null]  Caller asking (see create)
+   * @returns {object|null} Public view, or null if unknown, expired or someone else's
+   */
+  get(id, owner = null) {
+    const job = this._find(id, owner);
+    return job ? this._view(job) : null;
+  }
+
+  /**
+   * Cancel a queued or running job. A running job stops its engine searches
+   * and is marked cancelled once they have been aborted.
+   *
+   * @param {string}      id
+   * @param {string|null} [owner=null]  Caller asking (see create)
+   * @returns {object|null} Public view after cancelling, or null if unknown or someone else's
+   * @throws {Error} "Job already finished"
+   */
+  cancel(id, owner = null) {
+    const job = this._find(id, owner);
+    if (!job) return null;
+
+    if (FINISHED.has(job.status)) {
+      throw new Error("Job already finished");
+    }
+
+    if (job.status === "queued") {
+      this._waiting = this._waiting.filter((waiting) => waiting !== id);
+    } else {
+      // The run rejects once its searches are stopped; _execute leaves the
+      // cancelled status alone and frees the running slot then.
+      job.controller.abort();
+    }
+    this._finish(job, "cancelled");
+
+    return this._view(job);
+  }
+
+  /**
+   * @returns {{ queued, running, stored, maxRunning, maxPending }}
+   */
+  getStatus() {
+    this._prune();
+    return {
+      queued:     this._waiting.length,
+      running:    this._running,
+      stored:     this._jobs.size,
+      maxRunning: this._maxRunning,
+      maxPending: this._maxPending,
+    };
+  }
+
+  // ── Internal ───────────────────────────────────────────────────────────────
+
+  /**
+   * The job `owner` may see: unowned jobs are everyone's.
+   */
+  _find(id, owner) {
+    this._prune();
+    const job = this._jobs.get(id);
+    return job && (job.owner === null || job.owner === owner) ? job : null;
+  }
+
+  _startNext() {
+    while (this._running < this._maxRunning && this._waiting.length > 0) {
+      const job = this._jobs.get(this._waiting.shift());
+      if (job) this._execute(job);
+    }
+  }
+
+  async _execute(job) {
+    this._running++;
+    job.status    = "running";
+    job.startedAt = Date.now();
+
+    try {
+      const result = await job.run({
+        signal:     job.controller.signal,
+        onProgress: (progress) => { job.progress = progress; },
+      });
+      if (job.status === "running") {
+        job.result = result;
+        this._finish(job, "done");
+      }
+    } catch (err) {
+      if (job.status === "running") {
+        job.error = err.message;
+        this._finish(job, "failed");
+      }
+    } finally {
+      this._running--;
+      this._startNext();
+    }
+  }
+
+  _finish(job, status) {
+    job.status     = status;
+    job.finishedAt = Date.now();
+    job.run        = null;   // release captured request data
+  }
+
+  /**
+   * Drop finished jobs older than ttlMs.
+   */
+  _prune() {
+    const cutoff = Date.now() - this._ttlMs;
+    for (const [id, job] of this._jobs) {
+      if (job.finishedAt !== null && job.finishedAt < cutoff) this._jobs.delete(id);
+    }
+  }
+
+  _view(job) {
+    const iso = (ms) => (ms === null ? null : new Date(ms).toISOString());
+    return {
+      id:         job.id,
+      type:       job.type,
+      status:     job.status,
+      progress:   job.progress,
+      result:     job.result,
+      error:      job.error,
+      createdAt:  iso(job.createdAt),
+      startedAt:  iso(job.startedAt),
+      finishedAt: iso(job.finishedAt),
+    };
+  }
+}
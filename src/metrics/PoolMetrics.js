@@ -0,0 +1,190 @@
+/**
+ * PoolMetrics
+ *
+ * Prometheus telemetry for one or more EnginePools, labelled by engine
+ * profile. Each pool reports events as they happen (searches, queue waits,
+ * overload rejections) through its profile's sink; totals the pool already
+ * keeps and per-engine state are read from getStatus() at scrape time.
+ *
+ * Usage:
+ *   const metrics = new PoolMetrics();
+ *   const pool = new EnginePool({ ..., metrics: metrics.profile("fast") });
+ *   metrics.watch(pool, "fast");
+ *   res.type(CONTENT_TYPE).send(metrics.registry.render());
+ */
+
+import { Registry } from "./prometheus.js";
+
+// Seconds. Queue waits are short unless the pool is saturated; searches run
+// from milliseconds (shallow) to minutes (background jobs).
+const QUEUE_WAIT_BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const SEARCH_BUCKETS     = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 30, 60, 300];
+
+// Outcome label of a finished search, by rejection message
+const ERROR_RESULTS = {
+  "Stockfish timeout":    "timeout",
+  "Evaluation cancelled": "cancelled",
+};
+
+export class PoolMetrics {
+  /**
+   * @param {object}   [options]
+   * @param {Registry} [options.registry]  Shared registry (default: a new one)
+   */
+  constructor({ registry = new Registry() } = {}) {
+    this.registry = registry;
+    this._pools   = new Map();   // profile → EnginePool
+
+    // ── Reported by the pool ──
+    this._evaluations = registry.counter(
+      "stockfish_evaluations_total",
+      "Engine searches finished, by priority class and result (ok, partial, timeout, cancelled, error)",
+      ["profile", "priority", "result"]
+    );
+    this._overloads = registry.counter(
+      "stockfish_overload_rejections_total",
+      "Evaluations rejected with \"Engine overloaded\" because their queue was full",
+      ["profile", "priority"]
+    );
+    this._queueWait = registry.histogram(
+      "stockfish_queue_wait_seconds",
+      "Time from dispatch until an engine started the search",
+      ["profile", "priority"],
+      QUEUE_WAIT_BUCKETS
+    );
+    this._searchDuration = registry.histogram(
+      "stockfish_search_duration_seconds",
+      "Engine search time of completed searches, by depth reached",
+      ["profile", "depth"],
+      SEARCH_BUCKETS
+    );
+
+    // ── Read from EnginePool.getStatus() ──
+    this._engines       = registry.gauge("stockfish_engines", "Engines running", ["profile"]);
+    this._targetEngines = registry.gauge("stockfish_engines_target", "Configured pool size", ["profile"]);
+    this._busyEngines   = registry.gauge("stockfish_engines_busy", "Engines currently searching", ["profile"]);
+    this._queueLength   = registry.gauge("stockfish_queue_length", "Queued evaluations", ["profile", "priority"]);
+    this._inFlight      = registry.gauge("stockfish_in_flight", "Distinct searches queued or running", ["profile"]);
+    this._crashLoop     = registry.gauge("stockfish_crash_loop", "1 once the crash-loop guard stopped respawning", ["profile"]);
+    this._crashes       = registry.counter("stockfish_engine_crashes_total", "Engines lost to crashes since startup", ["profile"]);
+    this._restarts      = registry.counter("stockfish_engine_restarts_total", "Replacements started for crashed or hung engines", ["profile"]);
+    this._hangs         = registry.counter("stockfish_engine_hangs_total", "Engines killed by the watchdog as unresponsive", ["profile"]);
+    this._recycles      = registry.counter("stockfish_engine_recycles_total", "Engines retired after ENGINE_MAX_EVALS or ENGINE_MAX_RSS_MB", ["profile"]);
+    this._cancelled     = registry.counter("stockfish_cancelled_total", "Evaluations aborted by their caller", ["profile"]);
+    this._coalesced     = registry.counter("stockfish_coalesced_total", "Calls that joined an identical search in flight", ["profile"]);
+    this._cacheHits     = registry.counter("stockfish_cache_hits_total", "Evaluation cache hits", ["profile"]);
+    this._cacheMisses   = registry.counter("stockfish_cache_misses_total", "Evaluation cache misses", ["profile"]);
+    this._cacheEntries  = registry.gauge("stockfish_cache_entries", "Results in the evaluation cache", ["profile"]);
+
+    // ── Read from StockfishProcess.getStatus(), one series per engine ──
+    this._engineReady    = registry.gauge("stockfish_engine_ready", "1 if the engine accepts searches", ["profile", "engine"]);
+    this._engineBusy     = registry.gauge("stockfish_engine_busy", "1 while the engine is searching", ["profile", "engine"]);
+    this._engineStopping = registry.gauge("stockfish_engine_stopping", "1 while a stopped search winds down", ["profile", "engine"]);
+    this._engineQueued   = registry.gauge("stockfish_engine_queued", "1 if a search waits in the engine's own slot", ["profile", "engine"]);
+    this._engineSearches = registry.gauge("stockfish_engine_searches", "Searches run by the engine since it started", ["profile", "engine"]);
+  }
+
+  /**
+   * Refresh the pool and engine gauges of `pool` on every scrape.
+   *
+   * @param {EnginePool} pool
+   * @param {string}     [profile="default"]
+   */
+  watch(pool, profile = "default") {
+    if (this._pools.size === 0) this.registry.onCollect(() => this._collect());
+    this._pools.set(profile, pool);
+  }
+
+  /**
+   * Event sink for one profile's pool — pass as EnginePool's `metrics`.
+   *
+   * @param {string} profile
+   * @returns {{ queueWait: Function, overload: Function, search: Function }}
+   */
+  profile(profile) {
+    return {
+      queueWait: (priority, ms) => this.queueWait(profile, priority, ms),
+      overload:  (priority) => this.overload(profile, priority),
+      search:    (priority, ms, result, err) => this.search(profile, priority, ms, result, err),
+    };
+  }
+
+  _collect() {
+    // Crashed and recycled engines disappear — only report the current ones
+    const perEngine = [
+      this._engineReady, this._engineBusy, this._engineStopping, this._engineQueued, this._engineSearches,
+    ];
+    for (const gauge of perEngine) gauge.reset();
+
+    for (const [profile, pool] of this._pools) {
+      const status = pool.getStatus();
+      const labels = { profile };
+      this._engines.set(labels, status.totalEngines);
+      this._targetEngines.set(labels, status.targetEngines);
+      this._busyEngines.set(labels, status.busyEngines);
+      for (const [priority, queue] of Object.entries(status.queues)) {
+        this._queueLength.set({ profile, priority }, queue.length);
+      }
+      this._inFlight.set(labels, status.inFlight);
+      this._crashLoop.set(labels, status.crashLoop ? 1 : 0);
+      this._crashes.set(labels, status.crashes);
+      this._restarts.set(labels, status.restarts);
+      this._hangs.set(labels, status.hung);
+      this._recycles.set(labels, status.recycled);
+      this._cancelled.set(labels, status.cancelled);
+      this._coalesced.set(labels, status.coalesced);
+      if (status.cache) {
+        this._cacheHits.set(labels, status.cache.hits);
+        this._cacheMisses.set(labels, status.cache.misses);
+        this._cacheEntries.set(labels, status.cache.entries);
+      }
+
+      for (const engine of pool.getEngineStatus()) {
+        const engineLabels = { profile, engine: engine.id };
+        this._engineReady.set(engineLabels, engine.ready ? 1 : 0);
+        this._engineBusy.set(engineLabels, engine.busy ? 1 : 0);
+        this._engineStopping.set(engineLabels, engine.stopping ? 1 : 0);
+        this._engineQueued.set(engineLabels, engine.queued ? 1 : 0);
+        this._engineSearches.set(engineLabels, engine.evaluations);
+      }
+    }
+  }
+
+  // ── Events reported by EnginePool ──────────────────────────────────────────
+
+  /**
+   * @param {string} profile
+   * @param {string} priority
+   * @param {number} ms  Wait from dispatch until an engine took the search
+   */
+  queueWait(profile, priority, ms) {
+    this._queueWait.observe({ profile, priority }, ms / 1000);
+  }
+
+  /**
+   * @param {string} profile
+   * @param {string} priority
+   */
+  overload(profile, priority) {
+    this._overloads.inc({ profile, priority });
+  }
+
+  /**
+   * A search that ran on an engine finished.
+   *
+   * @param {string}      profile
+   * @param {string}      priority
+   * @param {number}      ms      Time on the engine
+   * @param {EvalResult}  [result]
+   * @param {Error}       [err]   Set when the search failed
+   */
+  search(profile, priority, ms, result, err) {
+    if (err) {
+      this._evaluations.inc({ profile, priority, result: ERROR_RESULTS[err.message] ?? "error" });
+      return;
+    }
+
+    this._evaluations.inc({ profile, priority, result: result.partial ? "partial" : "ok" });
+    this._searchDuration.observe({ profile, depth: result.depthReached ?? 0 }, ms / 1000);
+  }
+}
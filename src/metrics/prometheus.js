@@ -0,0 +1,189 @@
+/**
+ * Minimal Prometheus metrics — counters, gauges and histograms rendered in
+ * the text exposition format (version 0.0.4).
+ *
+ * Usage:
+ *   const registry = new Registry();
+ *   const requests = registry.counter("app_requests_total", "Requests served", ["route"]);
+ *   requests.inc({ route: "/evaluate" });
+ *   registry.onCollect(() => gauge.set({}, readValue()));   // refreshed per scrape
+ *   res.type(CONTENT_TYPE).send(registry.render());
+ */
+
+export const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export class Registry {
+  constructor() {
+    this._metrics    = [];
+    this._collectors = [];
+  }
+
+  /**
+   * @param {string}   name
+   * @param {string}   help
+   * @param {string[]} [labelNames]
+   * @returns {Counter}
+   */
+  counter(name, help, labelNames = []) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * @param {string}   name
+   * @param {string}   help
+   * @param {string[]} [labelNames]
+   * @returns {Gauge}
+   */
+  gauge(name, help, labelNames = []) {
+    return this._register(new Gauge(name, help, labelNames));
+  }
+
+  /**
+   * @param {string}   name
+   * @param {string}   help
+   * @param {string[]} labelNames
+   * @param {number[]} buckets  Upper bounds, ascending; +Inf is added
+   * @returns {Histogram}
+   */
+  histogram(name, help, labelNames, buckets) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Run `fn` before every render — for values read from elsewhere at scrape time.
+   *
+   * @param {Function} fn
+   */
+  onCollect(fn) {
+    this._collectors.push(fn);
+  }
+
+  /**
+   * @returns {string} Every metric in text exposition format
+   */
+  render() {
+    for (const fn of this._collectors) fn();
+    return this._metrics.map((metric) => metric.render()).join("");
+  }
+
+  _register(metric) {
+    this._metrics.push(metric);
+    return metric;
+  }
+}
+
+// ── Metric types ──────────────────────────────────────────────────────────────
+
+class Metric {
+  constructor(type, name, help, labelNames) {
+    this._type       = type;
+    this._name       = name;
+    this._help       = help;
+    this._labelNames = labelNames;
+    this._series     = new Map();   // label key → { labels, ... }
+  }
+
+  /**
+   * Drop every series — for gauges whose label set changes between scrapes.
+   */
+  reset() {
+    this._series.clear();
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this._name} ${this._help}`,
+      `# TYPE ${this._name} ${this._type}`,
+    ];
+    for (const series of this._series.values()) lines.push(...this._renderSeries(series));
+    return lines.join("\n") + "\n";
+  }
+
+  _seriesFor(labels) {
+    const key = this._labelNames.map((name) => String(labels[name] ?? "")).join("\u0000");
+    let series = this._series.get(key);
+    if (!series) {
+      series = this._newSeries(labels);
+      this._series.set(key, series);
+    }
+    return series;
+  }
+
+  _newSeries(labels) {
+    return { labels, value: 0 };
+  }
+
+  _renderSeries(series) {
+    return [`${this._name}${formatLabels(this._labelNames, series.labels)} ${series.value}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this._seriesFor(labels).value += amount;
+  }
+
+  /**
+   * Mirror a total counted elsewhere (e.g. EnginePool.getStatus()).
+   */
+  set(labels, value) {
+    this._seriesFor(labels).value = value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this._seriesFor(labels).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super("histogram", name, help, labelNames);
+    this._buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this._seriesFor(labels);
+    for (let i = 0; i < this._buckets.length; i++) {
+      if (value <= this._buckets[i]) series.counts[i]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  _newSeries(labels) {
+    return { labels, counts: this._buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  _renderSeries(series) {
+    const names = [...this._labelNames, "le"];
+    const lines = this._buckets.map((le, i) =>
+      `${this._name}_bucket${formatLabels(names, { ...series.labels, le })} ${series.counts[i]}`
+    );
+    lines.push(
+      `${this._name}_bucket${formatLabels(names, { ...series.labels, le: "+Inf" })} ${series.count}`,
+      `${this._name}_sum${formatLabels(this._labelNames, series.labels)} ${series.sum}`,
+      `${this._name}_count${formatLabels(this._labelNames, series.labels)} ${series.count}`
+    );
+    return lines;
+  }
+}
+
+function formatLabels(names, labels) {
+  if (names.length === 0) return "";
+  const pairs = names.map((name) => `${name}="${escapeLabel(labels[name] ?? "")}"`);
+  return `{${pairs.join(",")}}`;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
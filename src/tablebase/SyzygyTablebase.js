@@ -0,0 +1,361 @@
+/**
+ * SyzygyTablebase
+ *
+ * Exact results for positions covered by local Syzygy tablebase files,
+ * without an engine search. Probing is done by the Fathom command-line tool
+ * (https://github.com/jdart1/Fathom), run once for the position and once for
+ * the position after each legal move: the children's WDL and DTZ, seen from
+ * the other side, give every move an exact result. At most maxConcurrent
+ * Fathom processes run at once; further probes wait their turn. Without a
+ * working Fathom binary nothing is covered and every position is searched.
+ *
+ * A position is covered when it has no castling rights and at most
+ * maxPieces pieces (kings included) — maxPieces is the largest table found
+ * in the configured directories.
+ *
+ * Categories (side to move's point of view):
+ *   win, cursed-win, draw, blessed-loss, loss
+ * cursed-win / blessed-loss are wins and losses that the 50-move rule turns
+ * into draws. DTZ is the distance in plies to the next capture or pawn move
+ * (zeroing the 50-move counter) with best play — positive when winning,
+ * negative when losing, 0 for draws. Each move carries the category and DTZ
+ * of the position it leads to, from the mover's point of view.
+ *
+ * Each result also carries wdl — { win, draw, loss } per-mille, white-relative
+ * like the engine's — where cursed wins and blessed losses count as draws —
+ * and a white-relative evaluation in centipawns: ±(TB_WIN_SCORE − |DTZ|) for
+ * wins and losses, 0 otherwise. The score sits below the ±10000 mate scores
+ * and orders moves the same way as the categories and DTZ do.
+ *
+ * Every move's pv is the move followed by Fathom's best line from there.
+ *
+ * Usage:
+ *   const tb = new SyzygyTablebase({ path: "/syzygy", fathomPath: "fathom" });
+ *   await tb.init();
+ *   if (tb.covers(position)) result = await tb.probe(position);
+ */
+
+import { execFile } from "child_process";
+import { readdir } from "fs/promises";
+
+const PROBE_TIMEOUT_MS = 5_000;
+const MAX_CONCURRENT   = 2;
+const TB_WIN_SCORE     = 9_000;
+
+// Fathom's [WDL "…"] tag → category
+const CATEGORIES = {
+  Win:         "win",
+  CursedWin:   "cursed-win",
+  Draw:        "draw",
+  BlessedLoss: "blessed-loss",
+  Loss:        "loss",
+};
+
+// Category for the other side
+const INVERSE = {
+  "win":          "loss",
+  "cursed-win":   "blessed-loss",
+  "draw":         "draw",
+  "blessed-loss": "cursed-win",
+  "loss":         "win",
+};
+
+// Move ordering, best first for the side to move
+const RANK = { "win": 0, "cursed-win": 1, "draw": 2, "blessed-loss": 3, "loss": 4 };
+
+/**
+ * White-relative per-mille WDL for a category seen by `color`.
+ */
+function toWdl(category, color) {
+  if (category !== "win" && category !== "loss") return { win: 0, draw: 1000, loss: 0 };
+  const whiteWins = (category === "win") === (color === "w");
+  return whiteWins ? { win: 1000, draw: 0, loss: 0 } : { win: 0, draw: 0, loss: 1000 };
+}
+
+/**
+ * White-relative centipawn score for a category and DTZ seen by `color`.
+ */
+function toScore(category, dtz, color) {
+  if (category !== "win" && category !== "loss") return 0;
+  const score = Math.sign(dtz) * (TB_WIN_SCORE - Math.abs(dtz));
+  return color === "w" ? score : -score;
+}
+
+/**
+ * Play SAN moves from `position` as far as they are legal.
+ *
+ * @returns {{ pv: string[], pvSan: string[] }} UCI and SAN
+ */
+function playLine(position, sans) {
+  const pv = [];
+  const pvSan = [];
+  let current = position;
+  for (const san of sans) {
+    const move = current.parseSan(san);
+    if (!move) break;
+    pv.push(current.toUci(move));
+    pvSan.push(current.toSan(move));
+    current = current.play(move);
+  }
+  return { pv, pvSan };
+}
+
+export class SyzygyTablebase {
+  /**
+   * @param {object} options
+   * @param {string} options.path                  Directory of .rtbw/.rtbz files (several separated by ":")
+   * @param {string} [options.fathomPath="fathom"] Path to the Fathom binary
+   * @param {number} [options.timeoutMs=5000]      Time limit per probe
+   * @param {number} [options.maxConcurrent=2]     Fathom processes running at once
+   */
+  constructor({
+    path,
+    fathomPath    = "fathom",
+    timeoutMs     = PROBE_TIMEOUT_MS,
+    maxConcurrent = MAX_CONCURRENT,
+  }) {
+    this._path          = path;
+    this._fathomPath    = fathomPath;
+    this._timeoutMs     = timeoutMs;
+    this._maxConcurrent = maxConcurrent;
+    this._maxPieces     = 0;       // set by init() from the tables found
+    this._probing       = false;   // set by init() once Fathom is found
+    this._running       = 0;       // Fathom processes running
+    this._waiting       = [];      // resolvers of probes waiting for a slot — FIFO
+    this._probes        = 0;
+    this._failures      = 0;
+  }
+
+  /**
+   * Scan the tablebase directories for WDL tables and record the largest
+   * piece count available, and check that Fathom runs. A directory without
+   * tables, or no Fathom, leaves the tablebase covering nothing.
+   */
+  async init() {
+    for (const dir of this._path.split(":").filter(Boolean)) {
+      let files;
+      try {
+        files = await readdir(dir);
+      } catch (err) {
+        console.warn(`[SyzygyTablebase] Cannot read ${dir}: ${err.message}`);
+        continue;
+      }
+      for (const file of files) {
+        // e.g. KRPvKR.rtbw → 5 pieces
+        const match = file.match(/^([KQRBNP]+)v([KQRBNP]+)\.rtbw$/);
+        if (match) {
+          this._maxPieces = Math.max(this._maxPieces, match[1].length + match[2].length);
+        }
+      }
+    }
+
+    if (this._maxPieces === 0) {
+      console.warn(`[SyzygyTablebase] No tables found in ${this._path}.`);
+      return;
+    }
+    console.log(`[SyzygyTablebase] Tables up to ${this._maxPieces} pieces.`);
+
+    this._probing = await this._findFathom();
+    if (!this._probing) {
+      console.warn(
+        `[SyzygyTablebase] Fathom not found at ${this._fathomPath} — ` +
+        "positions are searched by the engine."
+      );
+    }
+  }
+
+  /**
+   * Whether the tables can answer this position exactly.
+   *
+   * @param {Position} position
+   */
+  covers(position) {
+    return (
+      this._probing &&
+      this._maxPieces > 0 &&
+      position.castling.length === 0 &&
+      position.board.filter(Boolean).length <= this._maxPieces
+    );
+  }
+
+  /**
+   * Exact category and DTZ for the position and for every legal move.
+   * Moves are ordered best first: fastest win, then cursed wins, draws,
+   * blessed losses and the slowest loss.
+   *
+   * @param {Position} position  Must be covered (see covers())
+   * @returns {Promise<{ category, dtz, wdl, evaluation, bestMove, bestMoveSan,
+   *                     moves: object[] }>}
+   *          moves: { move, san, fenAfter, category, dtz, wdl, evaluation, pv, pvSan }
+   * @throws {Error} "Tablebase probe failed: …" if Fathom fails or cannot
+   *                 probe a position
+   */
+  async probe(position) {
+    const [root, moves] = await Promise.all([
+      this._probeFen(position.toFen()),
+      Promise.all(position.legalMoves().map(async (move) => {
+        const after = position.play(move);
+        const child = await this._probeChild(after);
+        const category = INVERSE[child.category];
+        const dtz = -child.dtz;
+        const line = playLine(after, child.line);
+        return {
+          move:       position.toUci(move),
+          san:        position.toSan(move),
+          fenAfter:   after.toFen(),
+          category,
+          dtz,
+          wdl:        toWdl(category, position.turn),
+          evaluation: toScore(category, dtz, position.turn),
+          pv:         [position.toUci(move), ...line.pv],
+          pvSan:      [position.toSan(move), ...line.pvSan],
+        };
+      })),
+    ]);
+
+    moves.sort((a, b) => {
+      if (RANK[a.category] !== RANK[b.category]) return RANK[a.category] - RANK[b.category];
+      // Winning: reach the next zeroing move soonest (smallest positive DTZ).
+      // Losing: delay it longest (most negative DTZ).
+      return a.dtz - b.dtz;
+    });
+
+    return {
+      category:    root.category,
+      dtz:         root.dtz,
+      wdl:         toWdl(root.category, position.turn),
+      evaluation:  toScore(root.category, root.dtz, position.turn),
+      bestMove:    moves[0]?.move ?? null,
+      bestMoveSan: moves[0]?.san ?? null,
+      moves,
+    };
+  }
+
+  /**
+   * @returns {{ path, maxPieces, probing, running, waiting, probes, failures }}
+   */
+  getStatus() {
+    return {
+      path:      this._path,
+      maxPieces: this._maxPieces,
+      probing:   this._probing,
+      running:   this._running,
+      waiting:   this._waiting.length,
+      probes:    this._probes,
+      failures:  this._failures,
+    };
+  }
+
+  // ── Internal ───────────────────────────────────────────────────────────────
+
+  /**
+   * Whether the Fathom binary can be started at all. Its exit status does not
+   * matter — only a missing or non-executable file counts.
+   */
+  _findFathom() {
+    return new Promise((resolve) => {
+      execFile(this._fathomPath, ["--help"], { timeout: this._timeoutMs }, (err) => {
+        resolve(!(err && typeof err.code === "string"));   // ENOENT, EACCES, …
+      });
+    });
+  }
+
+  /**
+   * Probe the position after a move. A game that is already over needs no
+   * tables (and Fathom cannot probe it).
+   *
+   * @param {Position} position
+   * @returns {Promise<{ category: string, dtz: number, line: string[] }>}
+   */
+  async _probeChild(position) {
+    if (position.legalMoves().length === 0) {
+      return position.inCheck()
+        ? { category: "loss", dtz: 0, line: [] }    // side to move is mated
+        : { category: "draw", dtz: 0, line: [] };   // stalemate
+    }
+    return this._probeFen(position.toFen());
+  }
+
+  /**
+   * Probe one FEN: its [WDL "…"] and [DTZ "…"] tags and the best line that
+   * follows them.
+   *
+   * @param {string} fen
+   * @returns {Promise<{ category: string, dtz: number, line: string[] }>}
+   *          line: SAN moves
+   */
+  async _probeFen(fen) {
+    const stdout = await this._runFathom(fen);
+
+    const wdl = stdout.match(/\[WDL "(\w+)"\]/);
+    const dtz = stdout.match(/\[DTZ "(-?\d+)"\]/);
+    if (!wdl || !CATEGORIES[wdl[1]] || !dtz) {
+      this._failures++;
+      throw new Error("Tablebase probe failed: no result");
+    }
+
+    // Movetext after the tags, e.g. "1. Kd3 Kb2 2. … 1-0" or "1... Kb2 …"
+    const line = stdout
+      .replace(/^\[.*\]\s*$/gm, "")
+      .split(/\s+/)
+      .map((token) => token.replace(/^\d+\.+/, ""))
+      .filter((token) => token && !/^(1-0|0-1|1\/2-1\/2|\*)$/.test(token));
+
+    const category = CATEGORIES[wdl[1]];
+    const distance = Math.abs(parseInt(dtz[1], 10));
+    return {
+      category,
+      dtz: category === "draw" ? 0 : RANK[category] < RANK.draw ? distance : -distance,
+      line,
+    };
+  }
+
+  /**
+   * Run Fathom on one FEN once a probe slot is free.
+   *
+   * @param {string} fen
+   * @returns {Promise<string>} stdout
+   */
+  async _runFathom(fen) {
+    await this._acquire();
+    this._probes++;
+    try {
+      return await new Promise((resolve, reject) => {
+        execFile(
+          this._fathomPath,
+          [`--path=${this._path}`, fen],
+          { timeout: this._timeoutMs },
+          (err, stdout) => {
+            if (err) {
+              this._failures++;
+              return reject(new Error(`Tablebase probe failed: ${err.message}`));
+            }
+            resolve(stdout);
+          }
+        );
+      });
+    } finally {
+      this._release();
+    }
+  }
+
+  /**
+   * Take a probe slot, waiting for one if maxConcurrent probes are running.
+   */
+  async _acquire() {
+    if (this._running < this._maxConcurrent) {
+      this._running++;
+      return;
+    }
+    await new Promise((resolve) => this._waiting.push(resolve));
+  }
+
+  /**
+   * Hand the slot to the next waiting probe, or free it.
+   */
+  _release() {
+    const next = this._waiting.shift();
+    if (next) next();
+    else this._running--;
+  }
+}
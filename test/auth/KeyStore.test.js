@@ -0,0 +1,180 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, writeFile, readdir, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+import { KeyStore } from "../../src/auth/KeyStore.js";
+
+let dir;
+
+beforeEach(async (t) => {
+  dir = await mkdtemp(join(tmpdir(), "keystore-"));
+  t.mock.method(console, "log", () => {});
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+async function storeWith(keys, options = {}) {
+  const path = join(dir, "keys.json");
+  await writeFile(path, JSON.stringify({ keys }));
+  const store = new KeyStore({ path, ...options });
+  await store.load();
+  return store;
+}
+
+// ── admit ─────────────────────────────────────────────────────────────────────
+
+test("admit() rejects endpoints the key may not call", async () => {
+  const store = await storeWith([{ name: "a", key: "secret", endpoints: ["/evaluate"] }]);
+  const key = store.find("secret");
+
+  assert.equal(store.admit(key, "/evaluate"), null);
+  assert.deepEqual(store.admit(key, "/jobs"), { status: 403, error: "Endpoint /jobs not allowed for this key" });
+});
+
+test("admit() enforces rpm over a sliding minute", async (t) => {
+  let now = Date.UTC(2024, 4, 1, 12);
+  t.mock.method(Date, "now", () => now);
+
+  const store = await storeWith([{ name: "a", key: "secret", rpm: 2 }]);
+  const key = store.find("secret");
+
+  assert.equal(store.admit(key, "/evaluate"), null);
+  now += 20_000;
+  assert.equal(store.admit(key, "/evaluate"), null);
+  assert.deepEqual(store.admit(key, "/evaluate"), { status: 429, error: "Rate limit exceeded", retryAfter: 40 });
+
+  now += 40_001;   // the first request has left the window
+  assert.equal(store.admit(key, "/evaluate"), null);
+  assert.equal(store.describe("a").usage.throttled, 1);
+  assert.equal(store.describe("a").usage.requests, 3);
+});
+
+test("admit() enforces daily depth and node budgets until midnight UTC", async (t) => {
+  let now = Date.UTC(2024, 4, 1, 23, 0);
+  t.mock.method(Date, "now", () => now);
+
+  const store = await storeWith([
+    { name: "depth", key: "d", dailyDepth: 30 },
+    { name: "nodes", key: "n", dailyNodes: 1000 },
+  ]);
+  const depthKey = store.find("d");
+  const nodesKey = store.find("n");
+
+  assert.equal(store.admit(depthKey, "/evaluate"), null);
+  store.charge(depthKey, { depthReached: 20, stats: { nodes: 5 } });
+  assert.equal(store.admit(depthKey, "/evaluate"), null);   // 20 < 30 — a started request completes
+  store.charge(depthKey, { depthReached: 20, stats: { nodes: 5 } });
+  assert.deepEqual(store.admit(depthKey, "/evaluate"),
+    { status: 429, error: "Daily depth budget exhausted", retryAfter: 3600 });
+
+  store.charge(nodesKey, { depthReached: 1, stats: { nodes: 1000 } });
+  assert.equal(store.admit(nodesKey, "/evaluate").error, "Daily node budget exhausted");
+
+  now += 3600 * 1000;   // next UTC day
+  assert.equal(store.admit(depthKey, "/evaluate"), null);
+  assert.equal(store.admit(nodesKey, "/evaluate"), null);
+  assert.equal(store.describe("depth").usage.depth, 0);
+});
+
+test("admit() lets unlimited keys through", async () => {
+  const store = await storeWith([{ name: "a", key: "secret" }]);
+  const key = store.find("secret");
+  for (let i = 0; i < 100; i++) assert.equal(store.admit(key, "/anything"), null);
+});
+
+// ── load / find ───────────────────────────────────────────────────────────────
+
+test("find() matches active keys only, by hash", async () => {
+  const store = await storeWith([
+    { name: "a", key: "secret" },
+    { name: "b", key: "gone", revoked: true },
+  ]);
+
+  assert.equal(store.find("secret").name, "a");
+  assert.equal(store.find("gone"), null);
+  assert.equal(store.find("nope"), null);
+  assert.equal(store.size, 1);
+  assert.equal(store.open, false);
+});
+
+test("without a key file or legacy key the store is open until a key is created", async () => {
+  const store = new KeyStore();
+  await store.load();
+  assert.equal(store.open, true);
+
+  await store.create({ name: "first" });
+  assert.equal(store.open, false);
+});
+
+test("a missing key file is an empty, closed store", async () => {
+  const store = new KeyStore({ path: join(dir, "none.json") });
+  await store.load();
+  assert.equal(store.size, 0);
+  assert.equal(store.open, false);
+});
+
+test("the legacy key is loaded as \"default\" and never saved", async () => {
+  const store = await storeWith([], { legacyKey: "legacy" });
+  assert.equal(store.find("legacy").name, "default");
+
+  await store.create({ name: "saved" });
+  const { keys } = JSON.parse(await readFile(join(dir, "keys.json"), "utf8"));
+  assert.deepEqual(keys.map((k) => k.name), ["saved"]);
+});
+
+test("a file key named \"default\" wins over the legacy key, with a warning", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const store = await storeWith([{ name: "default", key: "from-file" }], { legacyKey: "legacy" });
+
+  assert.equal(store.find("from-file").name, "default");
+  assert.equal(store.find("legacy"), null);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /STOCKFISH_API_KEY is ignored/);
+});
+
+test("load() rejects malformed entries", async () => {
+  await assert.rejects(storeWith([{ name: "bad name", key: "x" }]), /Invalid key name/);
+  await assert.rejects(storeWith([{ name: "a" }]), /neither hash nor key/);
+  await assert.rejects(storeWith([{ name: "a", key: "x", rpm: -1 }]), /Invalid rpm/);
+  await assert.rejects(storeWith([{ name: "a", key: "x", endpoints: "/evaluate" }]), /Invalid endpoints/);
+});
+
+// ── create / revoke ───────────────────────────────────────────────────────────
+
+test("create() stores only the hash and refuses duplicates", async () => {
+  const store = await storeWith([]);
+  const { key, info } = await store.create({ name: "a", rpm: 60 });
+
+  assert.equal(store.find(key).name, "a");
+  assert.equal(info.rpm, 60);
+
+  const text = await readFile(join(dir, "keys.json"), "utf8");
+  assert.equal(text.includes(key), false);
+  await assert.rejects(store.create({ name: "a" }), /Key already exists/);
+});
+
+test("concurrent saves all land in the file", async () => {
+  const store = await storeWith([]);
+  await Promise.all(["a", "b", "c", "d", "e"].map((name) => store.create({ name })));
+  await store.revoke("c");
+
+  const { keys } = JSON.parse(await readFile(join(dir, "keys.json"), "utf8"));
+  assert.deepEqual(keys.map((k) => k.name).sort(), ["a", "b", "c", "d", "e"]);
+  assert.equal(keys.find((k) => k.name === "c").revoked, true);
+  assert.deepEqual(await readdir(dir), ["keys.json"]);   // no temp file left behind
+});
+
+test("revoke() keeps the record and its usage", async () => {
+  const store = await storeWith([{ name: "a", key: "secret" }]);
+  store.admit(store.find("secret"), "/evaluate");
+
+  const info = await store.revoke("a");
+  assert.equal(info.revoked, true);
+  assert.equal(info.usage.requests, 1);
+  assert.equal(store.find("secret"), null);
+  assert.equal(await store.revoke("unknown"), null);
+});
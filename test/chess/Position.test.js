@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Position, STARTPOS_FEN, replayMoves, annotatePv } from "../../src/chess/Position.js";
+import { parsePgn } from "../../src/chess/pgn.js";
+
+function perft(position, depth) {
+  if (depth === 0) return 1;
+  let nodes = 0;
+  for (const move of position.legalMoves()) nodes += perft(position.play(move), depth - 1);
+  return nodes;
+}
+
+// Reference counts from https://www.chessprogramming.org/Perft_Results
+const PERFT = [
+  ["start position", STARTPOS_FEN, 3, 8902],
+  ["kiwipete — castling, pins, en passant",
+    "r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1", 2, 2039],
+  ["rook endgame — en passant discovered checks",
+    "8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1", 4, 43238],
+  ["promotions and castling out of check",
+    "r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1", 3, 9467],
+  ["promotion with capture",
+    "rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8", 2, 1486],
+];
+
+for (const [name, fen, depth, expected] of PERFT) {
+  test(`perft ${depth}: ${name}`, () => {
+    assert.equal(perft(Position.fromFen(fen), depth), expected);
+  });
+}
+
+test("fromFen / toFen round-trip", () => {
+  for (const [, fen] of PERFT) {
+    assert.equal(Position.fromFen(fen).toFen(), fen);
+  }
+});
+
+test("fromFen reads fullmove 0 as 1", () => {
+  assert.equal(Position.fromFen("4k3/8/8/8/8/8/8/4K3 w - - 0 0").fullmove, 1);
+});
+
+test("fromFen rejects malformed input", () => {
+  for (const fen of ["", "8/8/8 w - -", "9/8/8/8/8/8/8/8 w - - 0 1", "8/8/8/8/8/8/8/8 x - - 0 1"]) {
+    assert.throws(() => Position.fromFen(fen), /Invalid FEN/);
+  }
+});
+
+test("SAN and UCI parse to the same move", () => {
+  const position = Position.fromFen(STARTPOS_FEN);
+  const move = position.parseSan("Nf3");
+  assert.equal(position.toUci(move), "g1f3");
+  assert.deepEqual(position.parseUci("g1f3"), move);
+  assert.deepEqual(position.parseMove("Nf3"), move);
+  assert.equal(position.parseSan("Nf4"), null);
+});
+
+test("SAN marks check, mate and disambiguation", () => {
+  const mate = replayMoves(Position.fromFen(STARTPOS_FEN), ["f3", "e5", "g4"]).final;
+  assert.equal(mate.toSan(mate.parseUci("d8h4")), "Qh4#");
+
+  const rooks = Position.fromFen("4k3/8/8/8/8/8/4K3/R6R w - - 0 1");
+  assert.equal(rooks.toSan(rooks.parseUci("a1d1")), "Rad1");
+  assert.equal(rooks.toSan(rooks.parseUci("h1h8")), "Rh8+");
+});
+
+test("castling and promotion in both notations", () => {
+  const castle = Position.fromFen("r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1");
+  assert.equal(castle.toSan(castle.parseUci("e1g1")), "O-O");
+  assert.equal(castle.toUci(castle.parseSan("O-O-O")), "e1c1");
+  assert.equal(castle.toUci(castle.parseSan("0-0")), "e1g1");
+
+  const promote = Position.fromFen("4k3/P7/8/8/8/8/8/4K3 w - - 0 1");
+  assert.equal(promote.toUci(promote.parseSan("a8=Q+")), "a7a8q");
+  assert.equal(promote.toUci(promote.parseSan("a8N")), "a7a8n");
+});
+
+test("checkmate and stalemate", () => {
+  const mated = Position.fromFen("7k/6Q1/6K1/8/8/8/8/8 b - - 0 1");
+  assert.equal(mated.isCheckmate(), true);
+  assert.equal(mated.legalMoves().length, 0);
+
+  const stalemate = Position.fromFen("7k/5Q2/6K1/8/8/8/8/8 b - - 0 1");
+  assert.equal(stalemate.isStalemate(), true);
+  assert.equal(stalemate.inCheck(), false);
+});
+
+test("replayMoves keeps every ply and reports the illegal one", () => {
+  const { final, plies } = replayMoves(Position.fromFen(STARTPOS_FEN), ["e4", "e7e5", "Nf3"]);
+  assert.deepEqual(plies.map((p) => p.uci), ["e2e4", "e7e5", "g1f3"]);
+  assert.deepEqual(plies.map((p) => p.san), ["e4", "e5", "Nf3"]);
+  assert.equal(final.toFen(), "rnbqkbnr/pppp1ppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2");
+
+  assert.throws(
+    () => replayMoves(Position.fromFen(STARTPOS_FEN), ["e4", "e4"]),
+    /Illegal move "e4" at ply 2/
+  );
+});
+
+test("annotatePv stops at the first illegal move", () => {
+  const { san, pvSan, fenAfter } = annotatePv(Position.fromFen(STARTPOS_FEN), ["e2e4", "e7e5", "e1e8"]);
+  assert.equal(san, "e4");
+  assert.deepEqual(pvSan, ["e4", "e5"]);
+  assert.equal(fenAfter, "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1");
+});
+
+test("parsePgn skips comments, variations, NAGs and the result", () => {
+  const { headers, moves } = parsePgn([
+    '[Event "Test"]',
+    '[FEN "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1"]',
+    "",
+    "1. e4 {a comment} (1. e3 Kd7) Kd7 $1 2. e5 ; to the end",
+    "Ke6 1-0",
+  ].join("\n"));
+
+  assert.equal(headers.Event, "Test");
+  assert.equal(headers.FEN, "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1");
+  assert.deepEqual(moves, ["e4", "Kd7", "e5", "Ke6"]);
+  assert.throws(() => parsePgn("1. e4 { open"), /Invalid PGN/);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { validateFen } from "../../src/chess/validateFen.js";
+import { STARTPOS_FEN } from "../../src/chess/Position.js";
+
+test("accepts legal positions", () => {
+  for (const fen of [
+    STARTPOS_FEN,
+    "rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2",
+    "8/8/8/4k3/8/8/8/KQ6 w - - 0 1",
+    "4k3/8/8/8/4P3/8/8/4K3 b - e3 0 1",
+    "  8/8/8/4K3/3P4/8/8/k7 b - - 12 40  ",
+  ]) {
+    const check = validateFen(fen);
+    assert.equal(check.valid, true, `${fen}: ${check.message}`);
+    assert.ok(check.position);
+  }
+});
+
+test("accepts fullmove number 0", () => {
+  const check = validateFen("4k3/8/8/8/8/8/8/4K3 w - - 0 0");
+  assert.equal(check.valid, true);
+  assert.equal(check.position.fullmove, 1);
+});
+
+const INVALID = [
+  [42,                                                               "INVALID_FORMAT"],
+  ["8/8/8/8/8/8/8/8 w - - 0",                                        "INVALID_FORMAT"],
+  ["8/8/8/8/8/8/8 w - - 0 1",                                        "INVALID_RANK_COUNT"],
+  ["4k3/8/8/8/8/8/8/4K2 w - - 0 1",                                  "INVALID_RANK_LENGTH"],
+  ["4k3/8/8/8/8/8/8/4K2X w - - 0 1",                                 "INVALID_PIECE"],
+  ["4k3/8/8/8/8/8/8/4K3 x - - 0 1",                                  "INVALID_SIDE_TO_MOVE"],
+  ["4k3/8/8/8/8/8/8/4K3 w QK - 0 1",                                 "INVALID_CASTLING"],
+  ["4k3/8/8/8/8/8/8/4K3 w - e4 0 1",                                 "INVALID_EN_PASSANT"],
+  ["4k3/8/8/8/8/8/8/4K3 w - - -1 1",                                 "INVALID_MOVE_COUNTERS"],
+  ["4k3/8/8/8/8/8/8/4K3 w - - 0 1.5",                                "INVALID_MOVE_COUNTERS"],
+  ["8/8/8/8/8/8/8/4K3 w - - 0 1",                                    "MISSING_KING"],
+  ["4k3/8/8/8/8/8/8/3KK3 w - - 0 1",                                 "TOO_MANY_KINGS"],
+  ["4k2P/8/8/8/8/8/8/4K3 w - - 0 1",                                 "PAWN_ON_BACK_RANK"],
+  ["4k3/8/8/8/8/P7/PPPPPPPP/4K3 w - - 0 1",                          "TOO_MANY_PAWNS"],
+  ["4k3/8/8/8/QQQQQQQQ/QQQQQQQQ/8/4K3 w - - 0 1",                    "TOO_MANY_PIECES"],
+  ["4k2R/8/8/8/8/8/8/4K3 w - - 0 1",                                 "OPPONENT_IN_CHECK"],
+  ["4k3/8/8/8/8/8/8/4K3 w K - 0 1",                                  "CASTLING_RIGHTS_MISMATCH"],
+  ["4k3/8/8/8/8/8/8/4K3 b - e3 0 1",                                 "EN_PASSANT_MISMATCH"],
+];
+
+for (const [fen, code] of INVALID) {
+  test(`rejects ${code}: ${fen}`, () => {
+    const check = validateFen(fen);
+    assert.equal(check.valid, false);
+    assert.equal(check.code, code);
+    assert.equal(typeof check.message, "string");
+  });
+}
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { EvalCache } from "../../src/engine/EvalCache.js";
+
+const FEN = "8/8/8/4K3/3P4/8/8/k7 w - - 0 1";
+
+test("key ignores move counters but not moves or MultiPV", () => {
+  const key = EvalCache.key(FEN, [], 3);
+  assert.equal(EvalCache.key("8/8/8/4K3/3P4/8/8/k7 w - - 12 40", [], 3), key);
+  assert.notEqual(EvalCache.key(FEN, ["e5e6"], 3), key);
+  assert.notEqual(EvalCache.key(FEN, [], 1), key);
+  assert.notEqual(EvalCache.key(FEN.replace(" w ", " b "), [], 3), key);
+});
+
+test("a deeper result answers shallower requests", () => {
+  const cache = new EvalCache();
+  const key = EvalCache.key(FEN, [], 3);
+  cache.set(key, 18, { depthReached: 18 });
+
+  assert.deepEqual(cache.get(key, 12), { depthReached: 18 });
+  assert.deepEqual(cache.get(key, 18), { depthReached: 18 });
+  assert.equal(cache.get(key, 20), null);
+  assert.equal(cache.get("other", 1), null);
+  assert.deepEqual(cache.getStatus(), { entries: 1, maxEntries: 5000, hits: 2, misses: 2, hitRate: 0.5 });
+});
+
+test("a shallower result does not replace a deeper one", () => {
+  const cache = new EvalCache();
+  cache.set("k", 18, { depthReached: 18 });
+  cache.set("k", 10, { depthReached: 10 });
+  assert.deepEqual(cache.get("k", 1), { depthReached: 18 });
+
+  cache.set("k", 22, { depthReached: 22 });
+  assert.deepEqual(cache.get("k", 1), { depthReached: 22 });
+});
+
+test("evicts the least recently used entry", () => {
+  const cache = new EvalCache({ maxEntries: 2 });
+  cache.set("a", 10, "A");
+  cache.set("b", 10, "B");
+  cache.get("a", 10);            // b is now least recently used
+  cache.set("c", 10, "C");
+
+  assert.equal(cache.get("b", 10), null);
+  assert.equal(cache.get("a", 10), "A");
+  assert.equal(cache.get("c", 10), "C");
+  assert.equal(cache.getStatus().entries, 2);
+});
+
+test("entries expire after ttlMs", (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, "now", () => now);
+
+  const cache = new EvalCache({ ttlMs: 1000 });
+  cache.set("k", 18, "deep");
+  now += 1000;
+  assert.equal(cache.get("k", 1), "deep");
+
+  // An expired deeper entry no longer blocks a shallower result
+  now += 1;
+  cache.set("k", 10, "shallow");
+  assert.equal(cache.get("k", 1), "shallow");
+
+  now += 1001;
+  assert.equal(cache.get("k", 1), null);
+  assert.equal(cache.getStatus().entries, 0);
+});
+
+test("empty status has no hit rate", () => {
+  assert.equal(new EvalCache().getStatus().hitRate, null);
+});
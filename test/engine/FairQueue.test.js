@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { FairQueue } from "../../src/engine/FairQueue.js";
+
+function shiftAll(queue) {
+  const out = [];
+  while (queue.length > 0) out.push(queue.shift());
+  return out;
+}
+
+test("serves callers round-robin, each in FIFO order", () => {
+  const queue = new FairQueue({ maxLength: 10 });
+  queue.push("a", "a1");
+  queue.push("a", "a2");
+  queue.push("a", "a3");
+  queue.push("b", "b1");
+  queue.push("c", "c1");
+  queue.push("b", "b2");
+
+  assert.deepEqual(shiftAll(queue), ["a1", "b1", "c1", "a2", "b2", "a3"]);
+  assert.equal(queue.shift(), undefined);
+});
+
+test("a caller that empties its queue rejoins at the back", () => {
+  const queue = new FairQueue({ maxLength: 10 });
+  queue.push("a", "a1");
+  queue.push("b", "b1");
+  queue.push("b", "b2");
+  assert.equal(queue.shift(), "a1");
+  queue.push("a", "a2");
+
+  assert.deepEqual(shiftAll(queue), ["b1", "a2", "b2"]);
+});
+
+test("rejects pushes past maxLength or a caller's share", () => {
+  const queue = new FairQueue({ maxLength: 3, maxPerCaller: 2 });
+  queue.push("a", 1);
+  queue.push("a", 2);
+  assert.throws(() => queue.push("a", 3), /Engine overloaded/);
+
+  queue.push("b", 4);
+  assert.throws(() => queue.push("c", 5), /Engine overloaded/);
+  assert.deepEqual(queue.getStatus(), { length: 3, maxLength: 3, maxPerCaller: 2, callers: 2 });
+});
+
+test("maxPerCaller defaults to maxLength", () => {
+  const queue = new FairQueue({ maxLength: 2 });
+  queue.push("a", 1);
+  queue.push("a", 2);
+  assert.equal(queue.getStatus().maxPerCaller, 2);
+});
+
+test("remove() drops one entry and frees its slot", () => {
+  const queue = new FairQueue({ maxLength: 2 });
+  const entry = {};
+  queue.push("a", entry);
+  queue.push("b", {});
+
+  assert.equal(queue.remove("a", {}), false);
+  assert.equal(queue.remove("x", entry), false);
+  assert.equal(queue.remove("a", entry), true);
+  assert.equal(queue.length, 1);
+  assert.equal(queue.getStatus().callers, 1);
+  queue.push("c", {});
+});
+
+test("drain() empties the queue", () => {
+  const queue = new FairQueue({ maxLength: 5 });
+  queue.push("a", 1);
+  queue.push("b", 2);
+  queue.push("a", 3);
+
+  assert.deepEqual(queue.drain().sort(), [1, 2, 3]);
+  assert.equal(queue.length, 0);
+  assert.equal(queue.shift(), undefined);
+});
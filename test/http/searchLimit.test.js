@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseSearchLimit, toNumber } from "../../src/http/searchLimit.js";
+
+const CAPS = { depth: 20, movetime: 10_000, nodes: 1_000_000, mate: 10 };
+
+test("depth defaults, clamps to 1 and to the cap", () => {
+  assert.deepEqual(parseSearchLimit({}, 18, CAPS), { depth: 18 });
+  assert.deepEqual(parseSearchLimit({ depth: 0 }, 18, CAPS), { depth: 1 });
+  assert.deepEqual(parseSearchLimit({ depth: 99 }, 18, CAPS), { depth: 20 });
+});
+
+test("depth must be an integer", () => {
+  for (const depth of [2.5, "2.5", "deep", true, [], ""]) {
+    assert.deepEqual(parseSearchLimit({ depth }, 18, CAPS), { error: "depth must be an integer" }, String(depth));
+  }
+});
+
+test("movetime, nodes and mate become a capped limit", () => {
+  assert.deepEqual(parseSearchLimit({ movetime: 500 }, 18, CAPS), { limit: { type: "movetime", value: 500 } });
+  assert.deepEqual(parseSearchLimit({ nodes: 5e9 }, 18, CAPS), { limit: { type: "nodes", value: 1_000_000 } });
+  assert.deepEqual(parseSearchLimit({ mate: 3 }, 18, CAPS), { limit: { type: "mate", value: 3 } });
+});
+
+test("limits must be positive integers", () => {
+  for (const [type, value] of [["movetime", 0], ["nodes", -5], ["mate", 1.5], ["nodes", "many"], ["movetime", ""]]) {
+    assert.deepEqual(
+      parseSearchLimit({ [type]: value }, 18, CAPS),
+      { error: `${type} must be a positive integer` },
+      `${type}=${value}`
+    );
+  }
+});
+
+test("numeric strings are accepted for every limit", () => {
+  assert.deepEqual(parseSearchLimit({ depth: "12" }, 18, CAPS), { depth: 12 });
+  assert.deepEqual(parseSearchLimit({ movetime: "5000" }, 18, CAPS), { limit: { type: "movetime", value: 5000 } });
+  assert.deepEqual(parseSearchLimit({ nodes: " 2000 " }, 18, CAPS), { limit: { type: "nodes", value: 2000 } });
+  assert.deepEqual(parseSearchLimit({ mate: "2" }, 18, CAPS), { limit: { type: "mate", value: 2 } });
+});
+
+test("only one limit at a time", () => {
+  const error = { error: "Specify only one of depth, movetime, nodes, mate" };
+  assert.deepEqual(parseSearchLimit({ depth: 10, nodes: 100 }, 18, CAPS), error);
+  assert.deepEqual(parseSearchLimit({ movetime: 100, mate: 2 }, 18, CAPS), error);
+});
+
+test("toNumber converts numeric strings only", () => {
+  assert.equal(toNumber("18"), 18);
+  assert.equal(toNumber(18), 18);
+  assert.equal(toNumber("   "), "   ");
+  assert.equal(toNumber(undefined), undefined);
+  assert.ok(Number.isNaN(toNumber("x")));
+});